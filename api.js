@@ -0,0 +1,324 @@
+/**
+ * Local REST API - Main process only.
+ * An optional HTTP server that lets other building systems, such as a
+ * door-entry kiosk, look visitors up and check their ban status. It listens
+ * on this computer only unless a supervisor opens it to the local network.
+ * Bans and check-ins always need the API token; on the network, so do reads.
+ * The API cannot lift a ban or change the terms of one already in place.
+ */
+
+const http = require("node:http");
+const crypto = require("node:crypto");
+const { rankVisitors } = require("./search");
+const { validateBanTerms } = require("./validation");
+
+// Where the server listens: this computer only, or every network interface.
+const API_HOSTS = { local: "127.0.0.1", lan: "0.0.0.0" };
+const DEFAULT_API_PORT = 8750;
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_SEARCH_RESULTS = 20;
+// Host names a request may use when the server is local, so a web page cannot
+// reach it by pointing its own domain at 127.0.0.1.
+const LOCAL_HOST_NAMES = ["localhost", "127.0.0.1", "[::1]"];
+
+/**
+ * Checks the server settings from the API modal.
+ *
+ * @param {Object} settings - `enabled`, `host` ("local" or "lan") and `port`.
+ * @returns {string|null} An error message, or null when the settings are valid.
+ */
+const validateApiSettings = ({ enabled, host, port } = {}) => {
+  if (typeof enabled !== "boolean") return "Choose whether the API is on.";
+  if (!Object.hasOwn(API_HOSTS, host || "")) {
+    return "Choose who can reach the API.";
+  }
+  if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+    return "Enter a port number from 1024 to 65535.";
+  }
+  return null;
+};
+
+// A new random token; only its hash is kept in the settings.
+const createApiToken = () => crypto.randomBytes(24).toString("base64url");
+
+const hashApiToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Compared as hashes of equal length, so timing does not give the token away.
+const hasValidToken = (request, tokenHash) => {
+  const match = /^Bearer\s+(\S+)$/.exec(request.headers.authorization || "");
+  if (!match || !tokenHash) return false;
+  const given = Buffer.from(hashApiToken(match[1]));
+  const expected = Buffer.from(tokenHash);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+};
+
+// An error carrying the HTTP status it should be answered with.
+const apiError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+const readJsonBody = (request) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // The rest is read and dropped, so the client still gets the answer.
+        request.removeAllListeners("data");
+        request.resume();
+        reject(apiError(413, "The request body is too large."));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      const content = Buffer.concat(chunks).toString("utf-8").trim();
+      if (!content) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(content);
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          throw new Error("Not an object.");
+        }
+        resolve(body);
+      } catch {
+        reject(apiError(400, "The request body must be a JSON object."));
+      }
+    });
+    request.on("error", reject);
+  });
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+  });
+  response.end(JSON.stringify(body));
+};
+
+/**
+ * What the API tells other systems about a visitor: enough to decide at the
+ * door, without their contact details, date of birth or notes.
+ */
+const toVisitorStatus = (visitor, openVisit) => ({
+  id: visitor.id,
+  firstName: visitor.firstName || "",
+  lastName: visitor.lastName || "",
+  flatNumber: visitor.flatNumber || "",
+  isBanned: visitor.isBanned === 1,
+  banCategory: visitor.isBanned === 1 ? visitor.banCategory || "" : "",
+  banUntil: visitor.isBanned === 1 ? visitor.banUntil || "" : "",
+  onSite: Boolean(openVisit),
+  checkedInAt: openVisit ? openVisit.timeIn : null,
+});
+
+// "Door kiosk" -> "Door kiosk (API)", so staff can tell API changes apart in the logs.
+const operatorName = (body) => {
+  const name = typeof body.operator === "string" ? body.operator.trim() : "";
+  return `${name.slice(0, 60) || "API client"} (API)`;
+};
+
+const findVisitor = (db, id) => {
+  const visitor = db.getVisitor(id);
+  if (!visitor) throw apiError(404, "Visitor not found.");
+  return visitor;
+};
+
+// A malformed escape such as "%E0" is the client's mistake, not a server error.
+const decodeId = (encodedId) => {
+  try {
+    return decodeURIComponent(encodedId);
+  } catch {
+    throw apiError(400, "The visitor id in the address is not valid.");
+  }
+};
+
+const statusOf = (db, id) =>
+  toVisitorStatus(db.getVisitor(id), db.getOpenVisit(id));
+
+// --- Routes ---
+
+// Each route answers with `[status, body]`. `write` routes always need the token.
+const ROUTES = [
+  {
+    method: "GET",
+    pattern: /^\/api\/visitors$/,
+    handle: (db, { query }) => {
+      const name = (query.get("name") || "").trim();
+      if (name.length < 2) {
+        throw apiError(400, "Give at least two letters of a name to search.");
+      }
+      // Only names are ranked, so a phone number or date of birth typed
+      // here matches nobody; reads on this computer need no token.
+      const names = db
+        .listVisitors()
+        .map(({ id, firstName, lastName }) => ({ id, firstName, lastName }));
+      const visitors = rankVisitors(names, name)
+        .slice(0, MAX_SEARCH_RESULTS)
+        .map(({ id }) => statusOf(db, id));
+      return [200, { visitors }];
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^\/api\/visitors\/([^/]+)$/,
+    handle: (db, { id }) => {
+      findVisitor(db, id);
+      return [200, { visitor: statusOf(db, id) }];
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^\/api\/visitors\/([^/]+)\/ban$/,
+    write: true,
+    handle: (db, { id, body }) => {
+      // New terms could shorten a standing ban or make it lift by itself,
+      // which only a supervisor in the app may do.
+      if (findVisitor(db, id).isBanned === 1) {
+        throw apiError(409, "This visitor is already banned.");
+      }
+      const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+      if (!reason) throw apiError(400, "Give a reason for the ban.");
+      const terms = {
+        category: body.category,
+        until: body.until || "",
+        onExpiry: body.onExpiry || "review",
+      };
+      const termsError = validateBanTerms(terms);
+      if (termsError) throw apiError(400, termsError);
+
+      db.setBanStatus(id, {
+        isBanned: true,
+        notes: reason,
+        reason,
+        ...terms,
+        operator: operatorName(body),
+      });
+      return [200, { visitor: statusOf(db, id) }];
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^\/api\/visitors\/([^/]+)\/check-in$/,
+    write: true,
+    handle: (db, { id, body }) => {
+      const visitor = findVisitor(db, id);
+      const flat = typeof body.flat === "string" ? body.flat.trim() : "";
+      if (!flat) throw apiError(400, "Give the flat being visited.");
+      if (visitor.isBanned === 1) {
+        throw apiError(409, "Banned visitors cannot be checked in.");
+      }
+      if (db.getOpenVisit(id)) {
+        throw apiError(409, "This visitor is already checked in.");
+      }
+      db.checkIn(id, flat, operatorName(body));
+      return [201, { visitor: statusOf(db, id) }];
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^\/api\/visitors\/([^/]+)\/check-out$/,
+    write: true,
+    handle: (db, { id, body }) => {
+      findVisitor(db, id);
+      const visit = db.getOpenVisit(id);
+      if (!visit) throw apiError(409, "This visitor is not checked in.");
+      db.checkOut(visit.id, operatorName(body));
+      return [200, { visitor: statusOf(db, id) }];
+    },
+  },
+];
+
+/**
+ * Answers one request. Errors become JSON `{ error }` bodies.
+ *
+ * @param {Object} options - As for `startApiServer`.
+ */
+const handleRequest = async (options, request, response) => {
+  try {
+    const url = new URL(request.url, "http://localhost");
+    const hostName = (request.headers.host || "").replace(/:\d+$/, "");
+    if (options.host === "local" && !LOCAL_HOST_NAMES.includes(hostName)) {
+      throw apiError(403, "Use localhost to reach the API.");
+    }
+
+    if (url.pathname === "/api/health" && request.method === "GET") {
+      sendJson(response, 200, { status: "ok" });
+      return;
+    }
+
+    const matching = ROUTES.filter((route) => route.pattern.test(url.pathname));
+    const route = matching.find((r) => r.method === request.method);
+    if (!route) {
+      throw matching.length > 0
+        ? apiError(405, "Method not allowed.")
+        : apiError(404, "Not found.");
+    }
+
+    const tokenHash = options.getTokenHash();
+    const needsToken = route.write || options.host !== "local";
+    if (needsToken && !hasValidToken(request, tokenHash)) {
+      throw tokenHash
+        ? apiError(401, "A valid API token is required.")
+        : apiError(403, "No API token has been set up in the app.");
+    }
+
+    const db = options.getDatabase();
+    if (!db) {
+      throw apiError(
+        503,
+        "The visitor data is locked. Someone needs to sign in to the app.",
+      );
+    }
+
+    const [, encodedId] = url.pathname.match(route.pattern);
+    const [status, body] = route.handle(db, {
+      id: encodedId ? decodeId(encodedId) : null,
+      query: url.searchParams,
+      body: request.method === "POST" ? await readJsonBody(request) : {},
+    });
+    sendJson(response, status, body);
+    if (route.write) options.onChange(body.visitor);
+  } catch (error) {
+    if (!error.status) console.error("API request failed:", error);
+    if (response.headersSent) return;
+    sendJson(response, error.status || 500, {
+      error: error.status ? error.message : "Something went wrong.",
+    });
+  }
+};
+
+/**
+ * Starts the API server.
+ *
+ * @param {Object} options - `host` ("local" or "lan"), `port`, and three
+ *   functions: `getTokenHash` (the saved token's hash, or null),
+ *   `getDatabase` (the open visitor database, or null while it is locked)
+ *   and `onChange`, called with the visitor's status after a ban or check-in.
+ * @returns {Promise<http.Server>} The listening server.
+ * @throws {Error} When the port cannot be used, for example because it is taken.
+ */
+const startApiServer = (options) =>
+  new Promise((resolve, reject) => {
+    const server = http.createServer((request, response) => {
+      handleRequest(options, request, response);
+    });
+    server.once("error", reject);
+    server.listen(options.port, API_HOSTS[options.host], () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+
+module.exports = {
+  DEFAULT_API_PORT,
+  validateApiSettings,
+  createApiToken,
+  hashApiToken,
+  startApiServer,
+};
@@ -0,0 +1,230 @@
+/**
+ * Staff accounts and roles - Main process only.
+ * Accounts live in a JSON file under the user data folder; passwords are
+ * stored as salted scrypt hashes and never leave the main process. Each
+ * account also holds its own password-encrypted copy of the data key.
+ */
+
+const crypto = require("node:crypto");
+const fs = require("fs");
+const { writeFileAtomic } = require("./file-store");
+const { wrapDataKey, unwrapDataKey } = require("./vault");
+
+// --- Roles & Permissions ---
+
+const ROLE_LABELS = {
+  frontdesk: "Front Desk",
+  supervisor: "Supervisor",
+};
+
+// Front desk staff can look visitors up, register them and ban them.
+// Lifting bans, editing profiles, importing, exporting and erasing data is for supervisors.
+const ROLE_PERMISSIONS = {
+  frontdesk: ["search", "add", "ban"],
+  supervisor: [
+    "search",
+    "add",
+    "ban",
+    "unban",
+    "edit",
+    "import",
+    "export",
+    "erase",
+    "manageStaff",
+  ],
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Checks whether a signed-in user may perform an action.
+ *
+ * @param {Object|null} user - The session user, as returned by `toSessionUser`.
+ * @param {string} permission - One of the values in `ROLE_PERMISSIONS`.
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) =>
+  Boolean(user && (ROLE_PERMISSIONS[user.role] || []).includes(permission));
+
+// --- Password Hashing ---
+
+const hashPassword = (
+  password,
+  salt = crypto.randomBytes(16).toString("hex"),
+) => {
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return { salt, hash };
+};
+
+const verifyPassword = (password, account) => {
+  if (!account || typeof password !== "string") return false;
+  const { hash } = hashPassword(password, account.salt);
+  // Constant-time comparison so the check does not leak how much of the hash matched.
+  return crypto.timingSafeEqual(
+    Buffer.from(hash, "hex"),
+    Buffer.from(account.hash, "hex"),
+  );
+};
+
+// Strips the hash and salt before an account is handed to the renderer.
+const toSessionUser = (account) => ({
+  username: account.username,
+  displayName: account.displayName,
+  role: account.role,
+  roleLabel: ROLE_LABELS[account.role],
+  permissions: ROLE_PERMISSIONS[account.role] || [],
+});
+
+// --- Account Store ---
+
+/**
+ * Creates a staff account store backed by a JSON file.
+ *
+ * @param {string} filePath - Absolute path of the accounts file.
+ */
+const createStaffStore = (filePath) => {
+  const readAccounts = () => {
+    if (!fs.existsSync(filePath)) return [];
+    const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return Array.isArray(data.accounts) ? data.accounts : [];
+  };
+
+  // Written atomically: losing this file would lose every copy of the data key.
+  const writeAccounts = (accounts) => {
+    writeFileAtomic(filePath, JSON.stringify({ accounts }, null, 2));
+  };
+
+  const findAccount = (username) => {
+    const key = (username || "").trim().toLowerCase();
+    return readAccounts().find((a) => a.username === key) || null;
+  };
+
+  const checkPassword = (password) => {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(
+        `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters long.`,
+      );
+    }
+  };
+
+  /**
+   * Validates and adds a new account.
+   *
+   * @param {Object} details - `username`, `displayName`, `password` and `role`.
+   * @param {Buffer} dataKey - The data key, stored encrypted with the new password.
+   * @returns {Object} The new account as a session user.
+   * @throws {Error} When a field is missing or invalid, or the username is taken.
+   */
+  const addAccount = ({ username, displayName, password, role }, dataKey) => {
+    const key = (username || "").trim().toLowerCase();
+    const name = (displayName || "").trim();
+
+    if (!key || !name) {
+      throw new Error("Username and display name are required.");
+    }
+    if (!/^[a-z0-9._-]+$/.test(key)) {
+      throw new Error(
+        "Usernames may only contain letters, numbers, dots, dashes and underscores.",
+      );
+    }
+    if (!ROLE_PERMISSIONS[role]) {
+      throw new Error("Unknown role.");
+    }
+    checkPassword(password);
+
+    const accounts = readAccounts();
+    if (accounts.some((a) => a.username === key)) {
+      throw new Error("That username is already taken.");
+    }
+
+    const account = {
+      username: key,
+      displayName: name,
+      role,
+      ...hashPassword(password),
+      ...wrapDataKey(dataKey, password),
+      createdAt: new Date().toISOString(),
+    };
+    accounts.push(account);
+    writeAccounts(accounts);
+    return toSessionUser(account);
+  };
+
+  /**
+   * Checks a username/password pair.
+   *
+   * @returns {Object|null} The session user, or null when the credentials are wrong.
+   */
+  const authenticate = (username, password) => {
+    const account = findAccount(username);
+    return verifyPassword(password, account) ? toSessionUser(account) : null;
+  };
+
+  /**
+   * Returns the data key an account holds. The password must already have
+   * been checked with `authenticate`.
+   *
+   * @returns {Buffer|null} The key, or null when the account was created
+   *   before the data was encrypted.
+   */
+  const unlockDataKey = (username, password) =>
+    unwrapDataKey(findAccount(username), password);
+
+  /**
+   * Sets a new password, and stores the data key encrypted with it. Used by
+   * supervisors when someone forgets their password, and to give an account
+   * created before encryption its copy of the key.
+   *
+   * @param {string} username
+   * @param {string} password - The new password.
+   * @param {Buffer} dataKey
+   * @throws {Error} When the account does not exist or the password is too short.
+   */
+  const setPassword = (username, password, dataKey) => {
+    checkPassword(password);
+    const key = (username || "").trim().toLowerCase();
+    const accounts = readAccounts();
+    const account = accounts.find((a) => a.username === key);
+    if (!account) throw new Error("That account does not exist.");
+    Object.assign(
+      account,
+      hashPassword(password),
+      wrapDataKey(dataKey, password),
+    );
+    writeAccounts(accounts);
+  };
+
+  /**
+   * Stores a newly made data key with an account whose password was just
+   * verified. Only used once, when the data is first encrypted.
+   */
+  const storeDataKey = (username, password, dataKey) => {
+    const key = (username || "").trim().toLowerCase();
+    const accounts = readAccounts();
+    const account = accounts.find((a) => a.username === key);
+    Object.assign(account, wrapDataKey(dataKey, password));
+    writeAccounts(accounts);
+  };
+
+  return {
+    hasAccounts: () => readAccounts().length > 0,
+    // Whether the data key was created yet; false until the first sign-in after an upgrade.
+    hasDataKey: () => readAccounts().some((a) => a.wrappedKey),
+    // Accounts from before encryption cannot unlock the data until a supervisor sets their password.
+    listAccounts: () =>
+      readAccounts().map((account) => ({
+        ...toSessionUser(account),
+        needsNewPassword: !account.wrappedKey,
+      })),
+    addAccount,
+    authenticate,
+    unlockDataKey,
+    setPassword,
+    storeDataKey,
+  };
+};
+
+module.exports = {
+  hasPermission,
+  createStaffStore,
+};
@@ -0,0 +1,161 @@
+/**
+ * CSV reading and writing - Main process only.
+ * Parsing is done by csv-parse, so quoted commas, quotes and line breaks
+ * inside fields follow RFC 4180. The file's delimiter, line breaks and BOM
+ * are detected and kept, so a file saved by Excel in another locale keeps
+ * its layout when it is written back.
+ */
+
+const { parse } = require("csv-parse/sync");
+
+const BOM = "\uFEFF";
+const CANDIDATE_DELIMITERS = [",", ";", "\t", "|"];
+
+/**
+ * Guesses the delimiter from the header line: the candidate that appears
+ * most often outside quotes. Falls back to a comma.
+ *
+ * @param {string} text - The file content without a BOM.
+ * @returns {string}
+ */
+const detectDelimiter = (text) => {
+  const counts = new Map(CANDIDATE_DELIMITERS.map((d) => [d, 0]));
+  let inQuote = false;
+  for (const char of text) {
+    if (char === '"') inQuote = !inQuote;
+    else if (!inQuote && (char === "\n" || char === "\r")) break;
+    else if (!inQuote && counts.has(char))
+      counts.set(char, counts.get(char) + 1);
+  }
+
+  let best = ",";
+  counts.forEach((count, delimiter) => {
+    if (count > counts.get(best)) best = delimiter;
+  });
+  return best;
+};
+
+/**
+ * The line break the file uses: "\r\n" when its header line ends with one,
+ * as in files saved by Excel, otherwise "\n".
+ *
+ * @param {string} text - The file content without a BOM.
+ * @returns {string}
+ */
+const detectLineBreak = (text) => {
+  let inQuote = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (char === '"') inQuote = !inQuote;
+    else if (!inQuote && (char === "\n" || char === "\r")) {
+      return char === "\r" && text[i + 1] === "\n" ? "\r\n" : "\n";
+    }
+  }
+  return "\n";
+};
+
+/**
+ * Parses CSV text into records keyed by the header row. Rows whose field
+ * count does not match the header are left out and listed in `skipped`.
+ * Rows are numbered as a spreadsheet shows them: the header is row 1, and
+ * a field with line breaks in it still counts as one row. A stray quote
+ * inside an unquoted field, as in `5" screen`, is read as part of the value.
+ *
+ * @param {string} text - The file content.
+ * @returns {Object} `headers`; `records`, each `{ row, fields }`; `skipped`, each
+ *   `{ row, reason }`; and the `delimiter`, `lineBreak` and `bom` to write the
+ *   file back with.
+ * @throws {Error} When the file cannot be parsed at all, such as an unclosed quote.
+ */
+const parseCsv = (text) => {
+  const bom = text.startsWith(BOM);
+  const content = bom ? text.slice(1) : text;
+  const delimiter = detectDelimiter(content);
+  const lineBreak = detectLineBreak(content);
+
+  let rows;
+  try {
+    // Blank lines are kept here and dropped below, so row numbers stay right.
+    rows = parse(content, {
+      delimiter,
+      relax_column_count: true,
+      relax_quotes: true,
+      trim: true,
+    });
+  } catch (error) {
+    throw new Error(`The CSV file could not be read: ${error.message}`);
+  }
+
+  const isBlank = (values) => values.every((value) => value === "");
+  const headerIndex = rows.findIndex((values) => !isBlank(values));
+  if (headerIndex === -1) {
+    return { headers: [], records: [], skipped: [], delimiter, lineBreak, bom };
+  }
+
+  const headers = rows[headerIndex];
+  const records = [];
+  const skipped = [];
+
+  rows.forEach((values, index) => {
+    const row = index + 1;
+    if (index <= headerIndex || isBlank(values)) return;
+
+    if (values.length !== headers.length) {
+      skipped.push({
+        row,
+        reason: `Has ${values.length} fields but the header has ${headers.length}.`,
+      });
+      return;
+    }
+
+    const fields = {};
+    headers.forEach((header, column) => {
+      fields[header] = values[column];
+    });
+    records.push({ row, fields });
+  });
+
+  return { headers, records, skipped, delimiter, lineBreak, bom };
+};
+
+/**
+ * Converts objects into CSV text. The headers are the ones given, or else
+ * the first object's keys. Values are quoted when they contain the
+ * delimiter, a quote or a line break, or start or end with spaces that
+ * would otherwise be trimmed.
+ *
+ * @param {Object[]} records - The rows to write.
+ * @param {Object} [options] - `delimiter` (default ","), `lineBreak`
+ *   (default "\n"), `bom` (default false) and `headers`, the columns to
+ *   write in order.
+ * @returns {string} The CSV data as a string.
+ */
+const stringifyCsv = (
+  records,
+  { delimiter = ",", lineBreak = "\n", bom = false, headers: columns } = {},
+) => {
+  const headers =
+    columns || (records.length > 0 ? Object.keys(records[0]) : []);
+  if (headers.length === 0) return "";
+
+  const formatValue = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    const needsQuotes =
+      text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [
+    headers.map(formatValue).join(delimiter),
+    ...records.map((record) =>
+      headers.map((header) => formatValue(record[header])).join(delimiter),
+    ),
+  ];
+
+  return (bom ? BOM : "") + lines.join(lineBreak);
+};
+
+module.exports = {
+  parseCsv,
+  stringifyCsv,
+};
@@ -0,0 +1,1358 @@
+/**
+ * Visitor Database - Main process only.
+ * An SQLite file encrypted page by page (SQLite3 Multiple Ciphers), so each
+ * change is written on its own as it happens and the file never holds plaintext.
+ */
+
+const fs = require("fs");
+const Database = require("better-sqlite3-multiple-ciphers");
+const { isEncrypted, decrypt } = require("./vault");
+const { normalizeFlatNumber, NOTE_CATEGORIES } = require("./validation");
+
+// The visitor columns, in the order they are written to CSV.
+const VISITOR_FIELDS = [
+  "id",
+  "firstName",
+  "lastName",
+  "flatNumber",
+  "phoneNumber",
+  "dateOfBirth",
+  "scannedIdPicUrl",
+  "isBanned",
+  "banCategory",
+  "banUntil",
+  "banOnExpiry",
+  "notes",
+  "generalNotes",
+  "updatedAt",
+];
+
+// The fields the add/edit profile form may change.
+const PROFILE_FIELDS = [
+  "firstName",
+  "lastName",
+  "flatNumber",
+  "phoneNumber",
+  "dateOfBirth",
+  "scannedIdPicUrl",
+];
+
+// What each row looked like the last time the app and a CSV file agreed,
+// kept per file so switching files never compares against another file's rows.
+const SYNC_STATE_TABLE = `
+  CREATE TABLE IF NOT EXISTS sync_state (
+      file TEXT NOT NULL,
+      visitorId TEXT NOT NULL,
+      hash TEXT NOT NULL,
+      syncedAt TEXT NOT NULL,
+      PRIMARY KEY (file, visitorId)
+  );
+`;
+
+// The flat directory. Flat numbers are kept normalised (see validation.js), and
+// a visitor is linked to their own flat, the flats they visit and any added by hand.
+const FLAT_TABLES = `
+  CREATE TABLE IF NOT EXISTS flats (
+      number TEXT PRIMARY KEY,
+      residents TEXT,
+      notes TEXT,
+      updatedAt TEXT
+  );
+  CREATE TABLE IF NOT EXISTS visitor_flats (
+      visitorId TEXT NOT NULL,
+      flatNumber TEXT NOT NULL,
+      PRIMARY KEY (visitorId, flatNumber)
+  );
+  CREATE INDEX IF NOT EXISTS idx_visitor_flats_flat ON visitor_flats (flatNumber);
+`;
+
+// Dated notes on a profile, each kept with who wrote it. The visitor's
+// generalNotes column holds a plain-text summary of them for the CSV and exports.
+const NOTES_TABLE = `
+  CREATE TABLE IF NOT EXISTS visitor_notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      visitorId TEXT NOT NULL,
+      category TEXT NOT NULL CHECK (category IN ('incident', 'welfare', 'general')),
+      body TEXT NOT NULL,
+      author TEXT NOT NULL,
+      authorUsername TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_visitor_notes_visitor ON visitor_notes (visitorId);
+`;
+
+// Authors recorded for notes that no signed-in user wrote: the single notes
+// text profiles had before, and notes text added to the CSV file.
+const EARLIER_NOTES_AUTHOR = "Earlier notes";
+const CSV_NOTES_AUTHOR = "CSV file";
+
+const BAN_HISTORY_NO_DELETE = `
+  CREATE TRIGGER IF NOT EXISTS ban_history_no_delete BEFORE DELETE ON ban_history
+  WHEN NOT EXISTS (
+      SELECT 1 FROM data_protection_log
+      WHERE visitorId = OLD.visitorId AND action IN ('erase', 'purge')
+  )
+  AND NOT EXISTS (SELECT 1 FROM visitor_merges WHERE mergedId = OLD.visitorId)
+  BEGIN
+      SELECT RAISE(ABORT, 'ban_history is append-only');
+  END;
+`;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS visitors (
+      id TEXT PRIMARY KEY,
+      firstName TEXT,
+      lastName TEXT,
+      flatNumber TEXT,
+      phoneNumber TEXT,
+      dateOfBirth TEXT,
+      scannedIdPicUrl TEXT,
+      isBanned INTEGER,
+      banCategory TEXT,
+      banUntil TEXT,
+      banOnExpiry TEXT,
+      notes TEXT,
+      generalNotes TEXT,
+      updatedAt TEXT
+  );
+
+  -- Append-only record of erasures, retention purges and subject-access exports.
+  -- It keeps the visitor's id but never their name or details.
+  CREATE TABLE IF NOT EXISTS data_protection_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action TEXT NOT NULL CHECK (action IN ('erase', 'purge', 'access', 'policy')),
+      visitorId TEXT,
+      detail TEXT,
+      operator TEXT NOT NULL,
+      timestamp TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_data_protection_visitor ON data_protection_log (visitorId);
+  CREATE TRIGGER IF NOT EXISTS data_protection_log_no_update BEFORE UPDATE ON data_protection_log
+  BEGIN
+      SELECT RAISE(ABORT, 'data_protection_log is append-only');
+  END;
+  CREATE TRIGGER IF NOT EXISTS data_protection_log_no_delete BEFORE DELETE ON data_protection_log
+  BEGIN
+      SELECT RAISE(ABORT, 'data_protection_log is append-only');
+  END;
+
+  -- Duplicate profiles merged into another. The merged id is never synced back
+  -- in from a CSV; keptId always names the profile that exists now.
+  CREATE TABLE IF NOT EXISTS visitor_merges (
+      mergedId TEXT PRIMARY KEY,
+      keptId TEXT NOT NULL,
+      operator TEXT NOT NULL,
+      timestamp TEXT NOT NULL
+  );
+
+  -- Append-only audit trail: the triggers reject any edit or removal of past entries,
+  -- except removing a visitor's entries once their erasure has been logged, or once
+  -- they have been copied to the profile the visitor was merged into.
+  CREATE TABLE IF NOT EXISTS ban_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      visitorId TEXT NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('ban', 'unban')),
+      reason TEXT,
+      operator TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      category TEXT,
+      banUntil TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_ban_history_visitor ON ban_history (visitorId);
+  CREATE TRIGGER IF NOT EXISTS ban_history_no_update BEFORE UPDATE ON ban_history
+  BEGIN
+      SELECT RAISE(ABORT, 'ban_history is append-only');
+  END;
+  ${BAN_HISTORY_NO_DELETE}
+
+  CREATE TABLE IF NOT EXISTS visits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      visitorId TEXT NOT NULL,
+      flatVisited TEXT,
+      timeIn TEXT NOT NULL,
+      timeOut TEXT,
+      checkedInBy TEXT NOT NULL,
+      checkedOutBy TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_visits_visitor ON visits (visitorId);
+  CREATE INDEX IF NOT EXISTS idx_visits_open ON visits (timeOut);
+
+  ${SYNC_STATE_TABLE}
+`;
+
+/**
+ * Adds columns introduced after a database file was first created.
+ *
+ * @param {Database} db - The open database.
+ */
+const upgradeSchema = (db) => {
+  const addMissingColumns = (table, columns) => {
+    const existing = db
+      .prepare(`PRAGMA table_info(${table})`)
+      .all()
+      .map((column) => column.name);
+    columns
+      .filter((column) => !existing.includes(column))
+      .forEach((column) =>
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} TEXT`),
+      );
+  };
+  addMissingColumns("visitors", [
+    "updatedAt",
+    "banCategory",
+    "banUntil",
+    "banOnExpiry",
+  ]);
+  addMissingColumns("ban_history", ["category", "banUntil"]);
+
+  // States saved before they were kept per file cannot be tied to one, so they
+  // are dropped; the next sync then shows any differences as conflicts.
+  const syncColumns = db
+    .prepare("PRAGMA table_info(sync_state)")
+    .all()
+    .map((column) => column.name);
+  if (!syncColumns.includes("file")) {
+    db.exec(`DROP TABLE sync_state; ${SYNC_STATE_TABLE}`);
+  }
+
+  // Databases from before the flat directory get one built from the flat
+  // numbers already on profiles and visits. normalize_flat is registered on open.
+  const hasFlats = db
+    .prepare(
+      "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'visitor_flats'",
+    )
+    .get();
+  if (!hasFlats) {
+    db.exec(`${FLAT_TABLES}
+      INSERT OR IGNORE INTO visitor_flats (visitorId, flatNumber)
+      SELECT id, normalize_flat(flatNumber) FROM visitors WHERE normalize_flat(flatNumber) != '';
+      INSERT OR IGNORE INTO visitor_flats (visitorId, flatNumber)
+      SELECT visitorId, normalize_flat(flatVisited) FROM visits WHERE normalize_flat(flatVisited) != '';
+      INSERT OR IGNORE INTO flats (number, residents, notes, updatedAt)
+      SELECT DISTINCT flatNumber, '', '', '${new Date().toISOString()}' FROM visitor_flats;`);
+  }
+
+  // Flat numbers were once normalised without their separators or a second
+  // prefix ("Unit 1-2" became "12", "Flat No 12" "NO12"). Keys are brought to
+  // the current spelling once, merging any directory entries that now meet,
+  // and links are rebuilt from the flat numbers on profiles and visits.
+  if (db.pragma("user_version", { simple: true }) < 1) {
+    const renamed = db
+      .prepare(
+        "SELECT * FROM flats WHERE normalize_flat(number) != number ORDER BY number",
+      )
+      .all();
+    const getFlat = db.prepare("SELECT * FROM flats WHERE number = ?");
+    const mergeText = (kept, extra) =>
+      !extra || (kept || "").includes(extra)
+        ? kept
+        : [kept, extra].filter(Boolean).join("\n");
+    renamed.forEach((flat) => {
+      const number = normalizeFlatNumber(flat.number);
+      const existing = number ? getFlat.get(number) : null;
+      if (existing) {
+        db.prepare(
+          "UPDATE flats SET residents = ?, notes = ? WHERE number = ?",
+        ).run(
+          mergeText(existing.residents, flat.residents),
+          mergeText(existing.notes, flat.notes),
+          number,
+        );
+      } else if (number) {
+        db.prepare(
+          "INSERT INTO flats (number, residents, notes, updatedAt) VALUES (?, ?, ?, ?)",
+        ).run(number, flat.residents, flat.notes, flat.updatedAt);
+      }
+      db.prepare("DELETE FROM flats WHERE number = ?").run(flat.number);
+    });
+    db.exec(`
+      INSERT OR IGNORE INTO visitor_flats (visitorId, flatNumber)
+      SELECT visitorId, normalize_flat(flatNumber) FROM visitor_flats WHERE normalize_flat(flatNumber) != '';
+      DELETE FROM visitor_flats WHERE normalize_flat(flatNumber) != flatNumber;
+      INSERT OR IGNORE INTO visitor_flats (visitorId, flatNumber)
+      SELECT id, normalize_flat(flatNumber) FROM visitors WHERE normalize_flat(flatNumber) != '';
+      INSERT OR IGNORE INTO visitor_flats (visitorId, flatNumber)
+      SELECT visitorId, normalize_flat(flatVisited) FROM visits WHERE normalize_flat(flatVisited) != '';
+      INSERT OR IGNORE INTO flats (number, residents, notes, updatedAt)
+      SELECT DISTINCT flatNumber, '', '', '${new Date().toISOString()}' FROM visitor_flats;
+      PRAGMA user_version = 1;`);
+  }
+
+  // The single notes text of older databases becomes each visitor's first note.
+  // Its author has no username, so nobody can edit it.
+  const hasNotes = db
+    .prepare(
+      "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'visitor_notes'",
+    )
+    .get();
+  if (!hasNotes) {
+    db.exec(NOTES_TABLE);
+    db.prepare(
+      `INSERT INTO visitor_notes (visitorId, category, body, author, authorUsername, createdAt)
+      SELECT id, 'general', TRIM(generalNotes), ?, '', COALESCE(NULLIF(updatedAt, ''), ?)
+      FROM visitors WHERE TRIM(COALESCE(generalNotes, '')) != ''`,
+    ).run(EARLIER_NOTES_AUTHOR, new Date().toISOString());
+  }
+
+  // The delete triggers from before erasure and merging were possible block them.
+  const banTrigger = db
+    .prepare(
+      "SELECT sql FROM sqlite_master WHERE type = 'trigger' AND name = 'ban_history_no_delete'",
+    )
+    .get();
+  if (!banTrigger.sql.includes("visitor_merges")) {
+    db.exec(`DROP TRIGGER ban_history_no_delete; ${BAN_HISTORY_NO_DELETE}`);
+  }
+};
+
+// Turns empty or missing values into "" so the columns never hold undefined.
+const text = (value) =>
+  value === null || value === undefined ? "" : String(value).trim();
+
+const now = () => new Date().toISOString();
+
+// The first bytes of an unencrypted SQLite file.
+const SQLITE_HEADER = Buffer.from("SQLite format 3\0");
+
+// The start of a file, enough to tell plaintext SQLite from a vault.js file.
+const readHeader = (filePath) => {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const header = Buffer.alloc(64);
+    return header.subarray(0, fs.readSync(fd, header, 0, header.length, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// The data key as the passphrase SQLite3 Multiple Ciphers is given.
+const passphrase = (key) => key.toString("hex");
+
+/**
+ * Opens the encrypted database file with the data key.
+ *
+ * @throws {Error} When the file cannot be decrypted with the key.
+ */
+const openEncrypted = (filePath, key) => {
+  const db = new Database(filePath);
+  try {
+    db.pragma(`key = '${passphrase(key)}'`);
+    db.prepare("SELECT COUNT(*) FROM sqlite_master").get();
+    return db;
+  } catch (error) {
+    db.close();
+    throw error.code === "SQLITE_NOTADB"
+      ? new Error(
+          "The file could not be decrypted. It belongs to another installation or is damaged.",
+        )
+      : error;
+  }
+};
+
+/**
+ * Encrypts a database file left by an older version. A plaintext file,
+ * including changes still in its -wal file, is encrypted in place. A file
+ * encrypted as a whole is decrypted into memory and copied into a new
+ * encrypted file, so its contents never reach the disk unencrypted.
+ */
+const encryptOlderFile = (filePath, key) => {
+  const header = readHeader(filePath);
+  if (header.subarray(0, SQLITE_HEADER.length).equals(SQLITE_HEADER)) {
+    const plain = new Database(filePath);
+    try {
+      // Merges the -wal file; a database in WAL mode cannot be rekeyed.
+      plain.pragma("journal_mode = DELETE");
+      plain.pragma(`rekey = '${passphrase(key)}'`);
+    } finally {
+      plain.close();
+    }
+    return;
+  }
+
+  if (!isEncrypted(header)) return;
+  const image = new Database(decrypt(key, fs.readFileSync(filePath)));
+  const tempPath = `${filePath}.encrypting`;
+  fs.rmSync(tempPath, { force: true });
+  try {
+    const schema = image
+      .prepare(
+        "SELECT type, name, sql FROM sqlite_master WHERE sql IS NOT NULL AND name NOT LIKE 'sqlite_%' ORDER BY type = 'table' DESC",
+      )
+      .all();
+    const target = openEncrypted(tempPath, key);
+    try {
+      schema.forEach(({ sql }) => target.exec(sql));
+    } finally {
+      target.close();
+    }
+    image
+      .prepare("ATTACH DATABASE ? AS target KEY ?")
+      .run(tempPath, passphrase(key));
+    image.transaction(() => {
+      schema
+        .filter(({ type }) => type === "table")
+        .forEach(({ name }) =>
+          image.exec(
+            `INSERT INTO target."${name}" SELECT * FROM main."${name}"`,
+          ),
+        );
+    })();
+    image.exec("DETACH DATABASE target");
+  } finally {
+    image.close();
+  }
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Opens (or creates) the visitor database file.
+ *
+ * @param {string} filePath - Absolute path of the encrypted database file.
+ * @param {Buffer} key - The data key from vault.js.
+ * @throws {Error} When the file cannot be decrypted with the key.
+ */
+const createVisitorDatabase = (filePath, key) => {
+  if (fs.existsSync(filePath)) encryptOlderFile(filePath, key);
+  const db = openEncrypted(filePath, key);
+  try {
+    // WAL keeps writes small and lets reads carry on while a write is in progress.
+    db.pragma("journal_mode = WAL");
+    db.function("normalize_flat", { deterministic: true }, (value) =>
+      normalizeFlatNumber(value),
+    );
+    db.exec(SCHEMA);
+    upgradeSchema(db);
+  } catch (error) {
+    db.close();
+    throw error;
+  }
+
+  // --- Visitors ---
+
+  const listVisitors = () => db.prepare("SELECT * FROM visitors").all();
+
+  const getVisitor = (id) =>
+    db.prepare("SELECT * FROM visitors WHERE id = ?").get(id) || null;
+
+  const createVisitor = (id, fields) => {
+    db.prepare(
+      `INSERT INTO visitors
+      (id, firstName, lastName, flatNumber, phoneNumber, dateOfBirth, scannedIdPicUrl, isBanned, notes, generalNotes, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0, '', '', ?)`,
+    ).run(id, ...PROFILE_FIELDS.map((field) => text(fields[field])), now());
+    linkFlat(id, fields.flatNumber);
+    return getVisitor(id);
+  };
+
+  const updateVisitor = (id, fields) => {
+    db.prepare(
+      `UPDATE visitors SET firstName = ?, lastName = ?, flatNumber = ?, phoneNumber = ?,
+      dateOfBirth = ?, scannedIdPicUrl = ?, updatedAt = ? WHERE id = ?`,
+    ).run(...PROFILE_FIELDS.map((field) => text(fields[field])), now(), id);
+    linkFlat(id, fields.flatNumber);
+    return getVisitor(id);
+  };
+
+  /**
+   * Points a visitor at a new ID photo in the photos folder.
+   *
+   * @throws {Error} When the visitor does not exist.
+   */
+  const setPhoto = (id, fileName) => {
+    const { changes } = db
+      .prepare(
+        "UPDATE visitors SET scannedIdPicUrl = ?, updatedAt = ? WHERE id = ?",
+      )
+      .run(text(fileName), now(), id);
+    if (changes === 0) throw new Error("Visitor not found.");
+    return getVisitor(id);
+  };
+
+  /**
+   * Adds the visitors of an import in one transaction, so a failed import adds none.
+   * Imported notes become a general note by the person importing.
+   *
+   * @param {Object[]} visitors - Checked visitors, each with a new `id`.
+   * @param {Object} author - `name` and `username` of the signed-in user.
+   * @returns {number} How many were added.
+   */
+  const importVisitors = db.transaction((visitors, author) => {
+    visitors.forEach((visitor) => {
+      createVisitor(visitor.id, visitor);
+      if (text(visitor.generalNotes)) {
+        insertNote(visitor.id, {
+          category: "general",
+          body: visitor.generalNotes,
+          author: author.name,
+          authorUsername: author.username,
+        });
+        refreshNotesSummary(visitor.id);
+      }
+    });
+    return visitors.length;
+  });
+
+  // --- CSV Sync ---
+
+  /**
+   * @param {string} file - The CSV file's full path.
+   * @returns {Map<string, Object>} The last sync `hash` and `syncedAt` per visitor id.
+   */
+  const getSyncStates = (file) =>
+    new Map(
+      db
+        .prepare(
+          "SELECT visitorId, hash, syncedAt FROM sync_state WHERE file = ?",
+        )
+        .all(file)
+        .map((state) => [state.visitorId, state]),
+    );
+
+  /**
+   * Stores the rows a sync takes from the file (or from resolved conflicts)
+   * in one transaction. Notes text that was changed in the file is kept as a
+   * new general note, since the notes column only holds a summary, and bans
+   * set or lifted in the file go into the ban history.
+   *
+   * @param {Object[]} rowsToApp - Visitor rows that should now match the file.
+   * @param {string} syncedAt - ISO timestamp of this sync, used as their updatedAt.
+   * @param {string} operator - Who to record for ban changes.
+   */
+  const applySync = db.transaction((rowsToApp, syncedAt, operator) => {
+    const upsert = db.prepare(
+      `INSERT INTO visitors
+      (id, firstName, lastName, flatNumber, phoneNumber, dateOfBirth, scannedIdPicUrl, isBanned, notes, generalNotes, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        firstName = excluded.firstName, lastName = excluded.lastName,
+        flatNumber = excluded.flatNumber, phoneNumber = excluded.phoneNumber,
+        dateOfBirth = excluded.dateOfBirth, scannedIdPicUrl = excluded.scannedIdPicUrl,
+        isBanned = excluded.isBanned, notes = excluded.notes,
+        -- A ban set or lifted in the file has no terms; the app's old ones no longer apply.
+        banCategory = CASE WHEN excluded.isBanned = visitors.isBanned THEN visitors.banCategory ELSE '' END,
+        banUntil = CASE WHEN excluded.isBanned = visitors.isBanned THEN visitors.banUntil ELSE '' END,
+        banOnExpiry = CASE WHEN excluded.isBanned = visitors.isBanned THEN visitors.banOnExpiry ELSE '' END,
+        generalNotes = excluded.generalNotes, updatedAt = excluded.updatedAt`,
+    );
+    const recordBanChange = db.prepare(
+      "INSERT INTO ban_history (visitorId, action, reason, operator, timestamp, category, banUntil) VALUES (?, ?, ?, ?, ?, '', '')",
+    );
+    rowsToApp.forEach((v) => {
+      const previous = getVisitor(text(v.id));
+      const fileNotes = text(v.generalNotes);
+      const appNotes = previous ? text(previous.generalNotes) : "";
+      const isBanned =
+        v.isBanned === 1 || v.isBanned === "true" || v.isBanned === "1" ? 1 : 0;
+      upsert.run(
+        text(v.id),
+        text(v.firstName),
+        text(v.lastName),
+        text(v.flatNumber),
+        text(v.phoneNumber),
+        text(v.dateOfBirth),
+        text(v.scannedIdPicUrl),
+        isBanned,
+        text(v.notes),
+        fileNotes,
+        syncedAt,
+      );
+      linkFlat(text(v.id), v.flatNumber);
+
+      // A ban set or lifted in the file is recorded like one made in the app.
+      if (isBanned !== (previous ? previous.isBanned : 0)) {
+        recordBanChange.run(
+          text(v.id),
+          isBanned ? "ban" : "unban",
+          isBanned
+            ? text(v.notes) || "Banned in the CSV file."
+            : "Ban lifted in the CSV file.",
+          operator,
+          syncedAt,
+        );
+      }
+
+      if (fileNotes !== appNotes) {
+        // Only lines that are not already in the app's summary make up the note.
+        const summaryLines = new Set(appNotes.split("\n").map(text));
+        const added = fileNotes
+          .split("\n")
+          .map(text)
+          .filter((line) => line && !summaryLines.has(line))
+          .join("\n");
+        if (added) {
+          insertNote(
+            text(v.id),
+            {
+              category: "general",
+              body: added,
+              author: CSV_NOTES_AUTHOR,
+              authorUsername: "",
+            },
+            syncedAt,
+          );
+        }
+        refreshNotesSummary(text(v.id), syncedAt);
+      }
+    });
+  });
+
+  /**
+   * Records the new baseline for rows that now match in the app and the file.
+   *
+   * @param {string} file - The CSV file's full path.
+   * @param {Object[]} states - `{ id, hash }` for every row in agreement.
+   * @param {string} syncedAt - ISO timestamp of this sync.
+   */
+  const recordSyncStates = db.transaction((file, states, syncedAt) => {
+    const saveState = db.prepare(
+      `INSERT INTO sync_state (file, visitorId, hash, syncedAt) VALUES (?, ?, ?, ?)
+      ON CONFLICT(file, visitorId) DO UPDATE SET hash = excluded.hash, syncedAt = excluded.syncedAt`,
+    );
+    states.forEach((state) =>
+      saveState.run(file, state.id, state.hash, syncedAt),
+    );
+  });
+
+  // --- Ban History ---
+
+  /**
+   * Bans or unbans a visitor and appends the change to ban_history atomically.
+   * Banning someone already banned replaces the terms of their ban.
+   *
+   * @param {string} id - The visitor to update.
+   * @param {Object} status - `isBanned`, the current `notes`, and the `reason` and
+   *   `operator` to record. A ban also takes its `category`, `until` (YYYY-MM-DD,
+   *   or empty for no end date) and `onExpiry` ("review" or "lift").
+   */
+  const setBanStatus = db.transaction((id, status) => {
+    const isBanned = status.isBanned ? 1 : 0;
+    const terms = isBanned
+      ? {
+          category: text(status.category),
+          until: text(status.until),
+          onExpiry: text(status.onExpiry),
+        }
+      : { category: "", until: "", onExpiry: "" };
+    const result = db
+      .prepare(
+        `UPDATE visitors SET isBanned = ?, banCategory = ?, banUntil = ?, banOnExpiry = ?,
+        notes = ?, updatedAt = ? WHERE id = ?`,
+      )
+      .run(
+        isBanned,
+        terms.category,
+        terms.until,
+        terms.onExpiry,
+        text(status.notes),
+        now(),
+        id,
+      );
+    if (result.changes === 0) {
+      throw new Error("Visitor not found.");
+    }
+    db.prepare(
+      "INSERT INTO ban_history (visitorId, action, reason, operator, timestamp, category, banUntil) VALUES (?, ?, ?, ?, ?, ?, ?)",
+    ).run(
+      id,
+      isBanned ? "ban" : "unban",
+      text(status.reason),
+      status.operator,
+      now(),
+      terms.category,
+      terms.until,
+    );
+    return getVisitor(id);
+  });
+
+  /**
+   * Finds the bans that end on or before a date, soonest first. Those already
+   * past their end date are the ones due for review.
+   *
+   * @param {string} date - YYYY-MM-DD.
+   * @returns {Object[]} `id`, `firstName`, `lastName`, `banCategory`, `banUntil` and `banOnExpiry`.
+   */
+  const listBansEndingBy = (date) =>
+    db
+      .prepare(
+        `SELECT id, firstName, lastName, banCategory, banUntil, banOnExpiry FROM visitors
+        WHERE isBanned = 1 AND COALESCE(banUntil, '') != '' AND banUntil <= ?
+        ORDER BY banUntil ASC, lastName ASC`,
+      )
+      .all(date);
+
+  const getBanHistory = (visitorId) =>
+    db
+      .prepare(
+        "SELECT action, reason, operator, timestamp, category, banUntil FROM ban_history WHERE visitorId = ? ORDER BY timestamp DESC, id DESC",
+      )
+      .all(visitorId);
+
+  // Every ban/unban event, oldest first, with the visitor's name for context.
+  const getAuditLog = () =>
+    db
+      .prepare(
+        `SELECT h.timestamp, h.action, h.visitorId, v.firstName, v.lastName, h.reason,
+               h.category, h.banUntil, h.operator
+        FROM ban_history h
+        LEFT JOIN visitors v ON v.id = h.visitorId
+        ORDER BY h.timestamp ASC, h.id ASC`,
+      )
+      .all();
+
+  // --- Data Protection ---
+
+  /**
+   * Removes a visitor, their ban and visit history, their notes and their sync states.
+   * The erasure is logged first, which is what lets the ban_history rows go.
+   *
+   * @param {string} id - The visitor to remove.
+   * @param {Object} entry - `action` ("erase" or "purge"), `detail` and `operator` to log.
+   * @returns {Object} The removed visitor, so their photo can be deleted too.
+   * @throws {Error} When the visitor does not exist.
+   */
+  const eraseVisitor = db.transaction((id, entry) => {
+    const visitor = getVisitor(id);
+    if (!visitor) throw new Error("Visitor not found.");
+    logDataProtection({ ...entry, visitorId: id });
+    db.prepare("DELETE FROM ban_history WHERE visitorId = ?").run(id);
+    db.prepare("DELETE FROM visits WHERE visitorId = ?").run(id);
+    db.prepare("DELETE FROM sync_state WHERE visitorId = ?").run(id);
+    db.prepare("DELETE FROM visitor_flats WHERE visitorId = ?").run(id);
+    db.prepare("DELETE FROM visitor_notes WHERE visitorId = ?").run(id);
+    db.prepare("DELETE FROM visitors WHERE id = ?").run(id);
+    return visitor;
+  });
+
+  /**
+   * Appends an entry to the data protection log.
+   *
+   * @param {Object} entry - `action`, `visitorId` (or null), `detail` and `operator`.
+   */
+  const logDataProtection = ({ action, visitorId, detail, operator }) => {
+    db.prepare(
+      "INSERT INTO data_protection_log (action, visitorId, detail, operator, timestamp) VALUES (?, ?, ?, ?, ?)",
+    ).run(action, visitorId || null, text(detail), operator, now());
+  };
+
+  // Newest first.
+  const getDataProtectionLog = () =>
+    db
+      .prepare(
+        "SELECT action, visitorId, detail, operator, timestamp FROM data_protection_log ORDER BY timestamp DESC, id DESC",
+      )
+      .all();
+
+  // Ids of erased or purged visitors, so a sync does not bring them back from a CSV.
+  const listErasedIds = () =>
+    new Set(
+      db
+        .prepare(
+          "SELECT DISTINCT visitorId FROM data_protection_log WHERE action IN ('erase', 'purge')",
+        )
+        .pluck()
+        .all(),
+    );
+
+  /**
+   * Finds the cleared visitors last seen before a date: their last check-in,
+   * or their last change when they never checked in. Banned visitors, people
+   * on site and rows with no date at all are never included.
+   *
+   * @param {string} before - ISO timestamp.
+   * @returns {Object[]} `id`, `firstName`, `lastName`, `scannedIdPicUrl` and `lastSeen`.
+   */
+  const listRetentionCandidates = (before) =>
+    db
+      .prepare(
+        `SELECT id, firstName, lastName, scannedIdPicUrl, lastSeen FROM (
+            SELECT v.*, MAX(
+                COALESCE(v.updatedAt, ''),
+                COALESCE((SELECT MAX(timeIn) FROM visits WHERE visitorId = v.id), '')
+            ) AS lastSeen
+            FROM visitors v
+            WHERE COALESCE(v.isBanned, 0) != 1
+              AND NOT EXISTS (SELECT 1 FROM visits WHERE visitorId = v.id AND timeOut IS NULL)
+        )
+        WHERE lastSeen != '' AND lastSeen < ?
+        ORDER BY lastSeen ASC`,
+      )
+      .all(before);
+
+  /**
+   * Everything held about one visitor, for a subject-access request.
+   *
+   * @returns {Object|null} `visitor`, `notes`, `banHistory`, `visits`,
+   *   `dataProtectionLog` and linked `flats`, or null when the visitor does not exist.
+   */
+  const getSubjectData = (id) => {
+    const visitor = getVisitor(id);
+    if (!visitor) return null;
+    return {
+      visitor,
+      notes: db
+        .prepare(
+          "SELECT category, body, author, createdAt, updatedAt FROM visitor_notes WHERE visitorId = ? ORDER BY createdAt ASC, id ASC",
+        )
+        .all(id),
+      banHistory: db
+        .prepare(
+          "SELECT action, reason, operator, timestamp, category, banUntil FROM ban_history WHERE visitorId = ? ORDER BY timestamp ASC, id ASC",
+        )
+        .all(id),
+      visits: db
+        .prepare(
+          "SELECT flatVisited, timeIn, timeOut, checkedInBy, checkedOutBy FROM visits WHERE visitorId = ? ORDER BY timeIn ASC",
+        )
+        .all(id),
+      dataProtectionLog: db
+        .prepare(
+          "SELECT action, detail, operator, timestamp FROM data_protection_log WHERE visitorId = ? ORDER BY timestamp ASC, id ASC",
+        )
+        .all(id),
+      flats: getVisitorFlats(id),
+    };
+  };
+
+  // --- Merging ---
+
+  // Both values, once each, for fields such as notes that are combined.
+  const combineText = (...values) =>
+    [...new Set(values.map(text).filter(Boolean))].join("\n");
+
+  // The ban that lasts longer: any ban beats none, and no end date beats any date.
+  const stricterBan = (a, b) => {
+    if (a.isBanned !== 1 || b.isBanned !== 1) return b.isBanned === 1 ? b : a;
+    if (!a.banUntil || !b.banUntil) return a.banUntil ? b : a;
+    return b.banUntil > a.banUntil ? b : a;
+  };
+
+  /**
+   * Merges a duplicate profile into another. The kept profile takes the
+   * chosen details and the stricter ban, the ban notes of both, and the merged
+   * profile's notes, ban history and visits; the merged profile is then removed.
+   *
+   * @param {string} keptId - The profile that remains.
+   * @param {string} mergedId - The duplicate to fold into it.
+   * @param {Object} merge - `fields` (the chosen profile details) and the `operator` to record.
+   * @returns {Object} `visitor` (the kept profile) and `merged` (the removed row).
+   * @throws {Error} When either profile is missing or both are on site.
+   */
+  const mergeVisitors = db.transaction((keptId, mergedId, merge) => {
+    const kept = getVisitor(keptId);
+    const merged = getVisitor(mergedId);
+    if (!kept || !merged || keptId === mergedId) {
+      throw new Error("Choose two different visitors to merge.");
+    }
+    if (getOpenVisit(keptId) && getOpenVisit(mergedId)) {
+      throw new Error(
+        "Both visitors are checked in. Check one of them out first.",
+      );
+    }
+
+    const ban = stricterBan(kept, merged);
+    db.prepare(
+      `UPDATE visitors SET firstName = ?, lastName = ?, flatNumber = ?, phoneNumber = ?,
+      dateOfBirth = ?, scannedIdPicUrl = ?, isBanned = ?, banCategory = ?, banUntil = ?,
+      banOnExpiry = ?, notes = ?, updatedAt = ? WHERE id = ?`,
+    ).run(
+      ...PROFILE_FIELDS.map((field) => text(merge.fields[field])),
+      ban.isBanned === 1 ? 1 : 0,
+      text(ban.banCategory),
+      text(ban.banUntil),
+      text(ban.banOnExpiry),
+      combineText(kept.notes, merged.notes),
+      now(),
+      keptId,
+    );
+
+    // The merge is recorded first, which is what lets the copied ban_history rows go.
+    db.prepare(
+      "INSERT INTO visitor_merges (mergedId, keptId, operator, timestamp) VALUES (?, ?, ?, ?)",
+    ).run(mergedId, keptId, merge.operator, now());
+    db.prepare("UPDATE visitor_merges SET keptId = ? WHERE keptId = ?").run(
+      keptId,
+      mergedId,
+    );
+    db.prepare(
+      `INSERT INTO ban_history (visitorId, action, reason, operator, timestamp, category, banUntil)
+      SELECT ?, action, reason, operator, timestamp, category, banUntil
+      FROM ban_history WHERE visitorId = ? ORDER BY id`,
+    ).run(keptId, mergedId);
+    db.prepare("DELETE FROM ban_history WHERE visitorId = ?").run(mergedId);
+    db.prepare("UPDATE visits SET visitorId = ? WHERE visitorId = ?").run(
+      keptId,
+      mergedId,
+    );
+    db.prepare(
+      "UPDATE visitor_notes SET visitorId = ? WHERE visitorId = ?",
+    ).run(keptId, mergedId);
+    refreshNotesSummary(keptId);
+    db.prepare("DELETE FROM sync_state WHERE visitorId = ?").run(mergedId);
+    db.prepare(
+      "UPDATE OR IGNORE visitor_flats SET visitorId = ? WHERE visitorId = ?",
+    ).run(keptId, mergedId);
+    db.prepare("DELETE FROM visitor_flats WHERE visitorId = ?").run(mergedId);
+    linkFlat(keptId, merge.fields.flatNumber);
+    db.prepare("DELETE FROM visitors WHERE id = ?").run(mergedId);
+
+    return { visitor: getVisitor(keptId), merged };
+  });
+
+  // Ids of profiles merged into another, so a sync does not bring them back from a CSV.
+  const listMergedIds = () =>
+    new Set(db.prepare("SELECT mergedId FROM visitor_merges").pluck().all());
+
+  // --- Visits ---
+
+  const getOpenVisit = (visitorId) =>
+    db
+      .prepare(
+        "SELECT * FROM visits WHERE visitorId = ? AND timeOut IS NULL ORDER BY timeIn DESC LIMIT 1",
+      )
+      .get(visitorId) || null;
+
+  const listOnSite = () =>
+    db
+      .prepare(
+        `SELECT visits.id, visits.visitorId, visits.flatVisited, visits.timeIn,
+               visitors.firstName, visitors.lastName, visitors.scannedIdPicUrl
+        FROM visits
+        JOIN visitors ON visitors.id = visits.visitorId
+        WHERE visits.timeOut IS NULL
+        ORDER BY visits.timeIn ASC`,
+      )
+      .all();
+
+  const getVisitHistory = (visitorId) =>
+    db
+      .prepare(
+        "SELECT * FROM visits WHERE visitorId = ? ORDER BY timeIn DESC LIMIT 50",
+      )
+      .all(visitorId);
+
+  /**
+   * Finds the visitors who checked in during a period.
+   *
+   * @param {string|null} from - ISO timestamp the period starts at, or null for no lower bound.
+   * @param {string|null} to - ISO timestamp the period ends before, or null for no upper bound.
+   * @returns {Set<string>} Their visitor ids.
+   */
+  const listVisitedBetween = (from, to) =>
+    new Set(
+      db
+        .prepare(
+          `SELECT DISTINCT visitorId FROM visits
+          WHERE (@from IS NULL OR timeIn >= @from) AND (@to IS NULL OR timeIn < @to)`,
+        )
+        .pluck()
+        .all({ from, to }),
+    );
+
+  /**
+   * Opens a visit for a visitor who is not already on site.
+   *
+   * @throws {Error} When the visitor is unknown, banned or already checked in.
+   */
+  const checkIn = db.transaction((visitorId, flatVisited, staffName) => {
+    const visitor = getVisitor(visitorId);
+    if (!visitor) throw new Error("Visitor not found.");
+    if (visitor.isBanned === 1) {
+      throw new Error("Banned visitors cannot be checked in.");
+    }
+    if (getOpenVisit(visitorId)) {
+      throw new Error("This visitor is already checked in.");
+    }
+    db.prepare(
+      "INSERT INTO visits (visitorId, flatVisited, timeIn, checkedInBy) VALUES (?, ?, ?, ?)",
+    ).run(visitorId, text(flatVisited), now(), staffName);
+    linkFlat(visitorId, flatVisited);
+  });
+
+  /**
+   * Closes an open visit.
+   *
+   * @throws {Error} When the visit does not exist or is already closed.
+   */
+  const checkOut = (visitId, staffName) => {
+    const { changes } = db
+      .prepare(
+        "UPDATE visits SET timeOut = ?, checkedOutBy = ? WHERE id = ? AND timeOut IS NULL",
+      )
+      .run(now(), staffName, visitId);
+    if (changes !== 1) {
+      throw new Error("This visit was not found or is already checked out.");
+    }
+  };
+
+  // --- Flats ---
+
+  /**
+   * Links a visitor to a flat, adding the flat to the directory when it is
+   * new. Empty flat numbers are ignored.
+   */
+  const linkFlat = (visitorId, flat) => {
+    const number = normalizeFlatNumber(flat);
+    if (!number) return;
+    db.prepare(
+      "INSERT OR IGNORE INTO flats (number, residents, notes, updatedAt) VALUES (?, '', '', ?)",
+    ).run(number, now());
+    db.prepare(
+      "INSERT OR IGNORE INTO visitor_flats (visitorId, flatNumber) VALUES (?, ?)",
+    ).run(visitorId, number);
+  };
+
+  /**
+   * Every flat in the directory, in number order, with how many visitors are
+   * linked to it and how many of them are banned.
+   */
+  const listFlats = () =>
+    db
+      .prepare(
+        `SELECT f.number, f.residents, f.notes,
+               COUNT(v.id) AS visitors, COALESCE(SUM(v.isBanned = 1), 0) AS banned
+        FROM flats f
+        LEFT JOIN visitor_flats vf ON vf.flatNumber = f.number
+        LEFT JOIN visitors v ON v.id = vf.visitorId
+        GROUP BY f.number
+        ORDER BY CAST(f.number AS INTEGER), f.number`,
+      )
+      .all();
+
+  /**
+   * One flat with its linked visitors, banned visitors first, and how often
+   * each has visited it.
+   *
+   * @param {string} flat - The flat number, in any spelling.
+   * @returns {Object|null} The flat's row with `visitors`, or null when it is not in the directory.
+   */
+  const getFlat = (flat) => {
+    const number = normalizeFlatNumber(flat);
+    const row = db.prepare("SELECT * FROM flats WHERE number = ?").get(number);
+    if (!row) return null;
+    row.visitors = db
+      .prepare(
+        `SELECT v.id, v.firstName, v.lastName, v.flatNumber, v.isBanned, v.banCategory,
+               COUNT(visits.id) AS visits, MAX(visits.timeIn) AS lastVisit
+        FROM visitor_flats vf
+        JOIN visitors v ON v.id = vf.visitorId
+        LEFT JOIN visits ON visits.visitorId = v.id AND normalize_flat(visits.flatVisited) = vf.flatNumber
+        WHERE vf.flatNumber = ?
+        GROUP BY v.id
+        ORDER BY v.isBanned = 1 DESC, v.lastName, v.firstName`,
+      )
+      .all(number);
+    return row;
+  };
+
+  /**
+   * Adds a flat to the directory or updates its residents and notes.
+   *
+   * @param {string} flat - The flat number, in any spelling.
+   * @param {Object} details - `residents` (one name per line) and `notes`.
+   * @returns {Object} The flat, as `getFlat` returns it.
+   * @throws {Error} When the flat number is empty.
+   */
+  const saveFlat = (flat, details) => {
+    const number = normalizeFlatNumber(flat);
+    if (!number) throw new Error("Enter a flat number.");
+    db.prepare(
+      `INSERT INTO flats (number, residents, notes, updatedAt) VALUES (?, ?, ?, ?)
+      ON CONFLICT(number) DO UPDATE SET
+        residents = excluded.residents, notes = excluded.notes, updatedAt = excluded.updatedAt`,
+    ).run(number, text(details.residents), text(details.notes), now());
+    return getFlat(number);
+  };
+
+  // The flat numbers a visitor is linked to, in number order.
+  const getVisitorFlats = (visitorId) =>
+    db
+      .prepare(
+        "SELECT flatNumber FROM visitor_flats WHERE visitorId = ? ORDER BY CAST(flatNumber AS INTEGER), flatNumber",
+      )
+      .pluck()
+      .all(visitorId);
+
+  /**
+   * Replaces the flats a visitor is linked to.
+   *
+   * @param {string} visitorId
+   * @param {string[]} flats - Flat numbers in any spelling; empty ones are ignored.
+   * @returns {string[]} The visitor's flats now.
+   */
+  const setVisitorFlats = db.transaction((visitorId, flats) => {
+    db.prepare("DELETE FROM visitor_flats WHERE visitorId = ?").run(visitorId);
+    flats.forEach((flat) => linkFlat(visitorId, flat));
+    return getVisitorFlats(visitorId);
+  });
+
+  // --- Notes ---
+
+  // "2026-03-14 Incident - Sam Patel: Shouted at the concierge." (edited notes say so).
+  const formatNoteLine = (note) =>
+    `${note.createdAt.slice(0, 10)} ${NOTE_CATEGORIES[note.category]} - ${note.author}: ${note.body.replace(/\s+/g, " ")}${note.updatedAt ? " (edited)" : ""}`;
+
+  // A visitor's notes, newest first.
+  const listNotes = (visitorId) =>
+    db
+      .prepare(
+        "SELECT * FROM visitor_notes WHERE visitorId = ? ORDER BY createdAt DESC, id DESC",
+      )
+      .all(visitorId);
+
+  const getNote = (id) =>
+    db.prepare("SELECT * FROM visitor_notes WHERE id = ?").get(id) || null;
+
+  const insertNote = (visitorId, note, createdAt = now()) =>
+    db
+      .prepare(
+        "INSERT INTO visitor_notes (visitorId, category, body, author, authorUsername, createdAt) VALUES (?, ?, ?, ?, ?, ?)",
+      )
+      .run(
+        visitorId,
+        note.category,
+        text(note.body),
+        text(note.author),
+        text(note.authorUsername),
+        createdAt,
+      ).lastInsertRowid;
+
+  // Rewrites the visitor's notes summary, oldest note first, one per line.
+  const refreshNotesSummary = (visitorId, updatedAt = now()) => {
+    const summary = listNotes(visitorId)
+      .reverse()
+      .map(formatNoteLine)
+      .join("\n");
+    db.prepare(
+      "UPDATE visitors SET generalNotes = ?, updatedAt = ? WHERE id = ?",
+    ).run(summary, updatedAt, visitorId);
+  };
+
+  /**
+   * Adds a note to a visitor's profile.
+   *
+   * @param {string} visitorId
+   * @param {Object} note - `category`, `body`, and the `author` and
+   *   `authorUsername` of the signed-in user.
+   * @returns {Object} The new note.
+   * @throws {Error} When the visitor does not exist.
+   */
+  const addNote = db.transaction((visitorId, note) => {
+    if (!getVisitor(visitorId)) throw new Error("Visitor not found.");
+    const id = insertNote(visitorId, note);
+    refreshNotesSummary(visitorId);
+    return getNote(id);
+  });
+
+  /**
+   * Changes the category and text of a note. Only its author may do so.
+   *
+   * @param {number} id - The note to change.
+   * @param {Object} changes - `category`, `body` and the `authorUsername` of the signed-in user.
+   * @returns {Object} The note as it is now.
+   * @throws {Error} When the note does not exist or was written by someone else.
+   */
+  const updateNote = db.transaction((id, changes) => {
+    const note = getNote(id);
+    if (!note) throw new Error("Note not found.");
+    if (
+      !note.authorUsername ||
+      note.authorUsername !== changes.authorUsername
+    ) {
+      throw new Error("Only the person who wrote a note can edit it.");
+    }
+    db.prepare(
+      "UPDATE visitor_notes SET category = ?, body = ?, updatedAt = ? WHERE id = ?",
+    ).run(changes.category, text(changes.body), now(), id);
+    refreshNotesSummary(note.visitorId);
+    return getNote(id);
+  });
+
+  // --- Statistics ---
+
+  /**
+   * Figures for the dashboard and the management report.
+   *
+   * @param {string} since - ISO timestamp; monthly counts, flats and frequent
+   *   visitors cover the period from then until now.
+   * @returns {Object} `totals`, `bansByMonth`, `visitsByMonth`, `bansByFlat`,
+   *   `frequentVisitors` and `recentChanges`. Months with no rows are left out.
+   *   Flats are counted by their normalised number, so "12 a" and "12A" are one.
+   */
+  const getStatistics = (since) => ({
+    totals: db
+      .prepare(
+        `SELECT COUNT(*) AS total,
+               COALESCE(SUM(isBanned = 1), 0) AS banned,
+               COALESCE(SUM(COALESCE(isBanned, 0) != 1), 0) AS cleared,
+               (SELECT COUNT(*) FROM visits WHERE timeOut IS NULL) AS onSite
+        FROM visitors`,
+      )
+      .get(),
+    bansByMonth: db
+      .prepare(
+        `SELECT substr(timestamp, 1, 7) AS month, COUNT(*) AS count FROM ban_history
+        WHERE action = 'ban' AND timestamp >= ? GROUP BY month ORDER BY month`,
+      )
+      .all(since),
+    visitsByMonth: db
+      .prepare(
+        `SELECT substr(timeIn, 1, 7) AS month, COUNT(*) AS count FROM visits
+        WHERE timeIn >= ? GROUP BY month ORDER BY month`,
+      )
+      .all(since),
+    bansByFlat: db
+      .prepare(
+        `SELECT COALESCE(NULLIF(normalize_flat(v.flatNumber), ''), '(no flat)') AS flat,
+               COUNT(*) AS count
+        FROM ban_history h JOIN visitors v ON v.id = h.visitorId
+        WHERE h.action = 'ban' AND h.timestamp >= ?
+        GROUP BY flat ORDER BY count DESC, flat ASC LIMIT 10`,
+      )
+      .all(since),
+    frequentVisitors: db
+      .prepare(
+        `SELECT v.id, v.firstName, v.lastName, v.isBanned,
+               COUNT(*) AS visits, MAX(visits.timeIn) AS lastVisit
+        FROM visits JOIN visitors v ON v.id = visits.visitorId
+        WHERE visits.timeIn >= ?
+        GROUP BY v.id ORDER BY visits DESC, lastVisit DESC LIMIT 10`,
+      )
+      .all(since),
+    recentChanges: db
+      .prepare(
+        `SELECT h.timestamp, h.action, h.visitorId, v.firstName, v.lastName,
+               h.reason, h.category, h.operator
+        FROM ban_history h LEFT JOIN visitors v ON v.id = h.visitorId
+        ORDER BY h.timestamp DESC, h.id DESC LIMIT 15`,
+      )
+      .all(),
+  });
+
+  // --- Legacy Migration ---
+
+  /**
+   * Copies rows out of the old sql.js database image that used to live in
+   * localStorage. Existing rows win, so running it twice is harmless.
+   *
+   * @param {Buffer} image - The raw SQLite file bytes exported by sql.js.
+   * @returns {Object} How many rows of each table were copied.
+   */
+  const migrateLegacyImage = (image) => {
+    const legacy = new Database(image);
+    const tableExists = (name) =>
+      Boolean(
+        legacy
+          .prepare(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+          )
+          .get(name),
+      );
+    const counts = { visitors: 0, ban_history: 0, visits: 0 };
+
+    try {
+      db.transaction(() => {
+        if (tableExists("visitors")) {
+          const insert = db.prepare(
+            `INSERT OR IGNORE INTO visitors
+            (id, firstName, lastName, flatNumber, phoneNumber, dateOfBirth, scannedIdPicUrl, isBanned, notes, generalNotes)
+            VALUES (@id, @firstName, @lastName, @flatNumber, @phoneNumber, @dateOfBirth, @scannedIdPicUrl, @isBanned, @notes, @generalNotes)`,
+          );
+          legacy
+            .prepare("SELECT * FROM visitors")
+            .all()
+            .forEach((row) => {
+              const { changes } = insert.run(row);
+              counts.visitors += changes;
+              if (changes && text(row.generalNotes)) {
+                insertNote(row.id, {
+                  category: "general",
+                  body: row.generalNotes,
+                  author: EARLIER_NOTES_AUTHOR,
+                  authorUsername: "",
+                });
+              }
+            });
+        }
+
+        // History rows are only copied into an empty table, to avoid duplicates on a re-run.
+        const isEmpty = (table) =>
+          db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count ===
+          0;
+
+        if (tableExists("ban_history") && isEmpty("ban_history")) {
+          const insert = db.prepare(
+            "INSERT INTO ban_history (visitorId, action, reason, operator, timestamp) VALUES (@visitorId, @action, @reason, @operator, @timestamp)",
+          );
+          legacy
+            .prepare("SELECT * FROM ban_history ORDER BY id")
+            .all()
+            .forEach((row) => {
+              counts.ban_history += insert.run(row).changes;
+            });
+        }
+
+        if (tableExists("visits") && isEmpty("visits")) {
+          const insert = db.prepare(
+            "INSERT INTO visits (visitorId, flatVisited, timeIn, timeOut, checkedInBy, checkedOutBy) VALUES (@visitorId, @flatVisited, @timeIn, @timeOut, @checkedInBy, @checkedOutBy)",
+          );
+          legacy
+            .prepare("SELECT * FROM visits ORDER BY id")
+            .all()
+            .forEach((row) => {
+              counts.visits += insert.run(row).changes;
+            });
+        }
+      })();
+    } finally {
+      legacy.close();
+    }
+    return counts;
+  };
+
+  return {
+    listVisitors,
+    getVisitor,
+    createVisitor,
+    updateVisitor,
+    setPhoto,
+    importVisitors,
+    getSyncStates,
+    applySync,
+    recordSyncStates,
+    setBanStatus,
+    getBanHistory,
+    listBansEndingBy,
+    getAuditLog,
+    getOpenVisit,
+    listOnSite,
+    getVisitHistory,
+    listVisitedBetween,
+    checkIn,
+    checkOut,
+    migrateLegacyImage,
+    eraseVisitor,
+    logDataProtection,
+    getDataProtectionLog,
+    listErasedIds,
+    listRetentionCandidates,
+    getSubjectData,
+    mergeVisitors,
+    listMergedIds,
+    listFlats,
+    getFlat,
+    saveFlat,
+    getVisitorFlats,
+    setVisitorFlats,
+    listNotes,
+    addNote,
+    updateNote,
+    getStatistics,
+    close: () => db.close(),
+  };
+};
+
+module.exports = {
+  VISITOR_FIELDS,
+  createVisitorDatabase,
+};
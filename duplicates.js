@@ -0,0 +1,158 @@
+/**
+ * Duplicate visitor detection - Main process only.
+ * The same person can end up under several ids when rows are added without
+ * one or names are typed differently by different staff. Likely matches are
+ * found from name similarity, date of birth and phone number, and grouped so
+ * a supervisor can merge them.
+ */
+
+const { editDistance, phoneDigits } = require("./search");
+const { normalizeKey, normalizeDate } = require("./import");
+
+// How alike two names must be (0 to 1) to count as the same name on their own.
+const NAME_MATCH = 0.85;
+// The lower bar for names when the date of birth and phone number both match.
+const LOOSE_NAME_MATCH = 0.5;
+
+// The last ten digits, so "+44 7700 900123" and "07700 900123" compare equal.
+const phoneKey = (value) => {
+  const digits = phoneDigits(value);
+  return digits.length >= 6 ? digits.slice(-10) : "";
+};
+
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+};
+
+/**
+ * How alike two visitors' names are, allowing for first and last name
+ * entered the wrong way round.
+ *
+ * @returns {number} From 0 (nothing alike) to 1 (the same).
+ */
+const nameSimilarity = (a, b) =>
+  Math.max(
+    similarity(a.first + a.last, b.first + b.last),
+    similarity(a.first + a.last, b.last + b.first),
+  );
+
+const toCandidate = (visitor) => ({
+  visitor,
+  first: normalizeKey(visitor.firstName),
+  last: normalizeKey(visitor.lastName),
+  dob: normalizeDate(String(visitor.dateOfBirth || "").trim()),
+  phone: phoneKey(visitor.phoneNumber),
+});
+
+/**
+ * Only visitors sharing a key are compared, which keeps the search fast on
+ * large lists: the same date of birth, phone number, or name initials.
+ */
+const blockKeys = ({ first, last, dob, phone }) => {
+  const keys = [];
+  if (dob) keys.push(`dob:${dob}`);
+  if (phone) keys.push(`phone:${phone}`);
+  if (first && last) {
+    // Both orders, so swapped names still meet.
+    keys.push(`name:${[first.slice(0, 2), last.slice(0, 2)].sort().join("|")}`);
+  }
+  return keys;
+};
+
+/**
+ * Decides whether two visitors look like the same person.
+ *
+ * @returns {string[]|null} The reasons they match, or null when they do not.
+ */
+const matchReasons = (a, b) => {
+  const score = nameSimilarity(a, b);
+  const sameDob = Boolean(a.dob) && a.dob === b.dob;
+  const samePhone = Boolean(a.phone) && a.phone === b.phone;
+  // A different date of birth rules out a match unless the phone agrees.
+  const dobConflict = Boolean(a.dob && b.dob) && !sameDob;
+
+  const isMatch =
+    (score >= NAME_MATCH && (!dobConflict || samePhone)) ||
+    (sameDob && samePhone && score >= LOOSE_NAME_MATCH);
+  if (!isMatch) return null;
+
+  const reasons = [
+    score === 1 ? "Same name" : `Similar names (${Math.round(score * 100)}%)`,
+  ];
+  if (sameDob) reasons.push("Same date of birth");
+  if (samePhone) reasons.push("Same phone number");
+  if (dobConflict) reasons.push("Different dates of birth");
+  return reasons;
+};
+
+// "a|b" with the ids in a fixed order, for pairs marked as different people.
+const pairKey = (idA, idB) => [idA, idB].sort().join("|");
+
+/**
+ * Groups the visitors that are likely to be the same person.
+ *
+ * @param {Object[]} visitors - Rows from the visitors table.
+ * @param {Set<string>} [dismissed] - `pairKey`s a supervisor marked as different people.
+ * @returns {Object[]} Groups of two or more, each with `visitors` and the
+ *   matching `pairs` (`ids` and `reasons`), banned visitors' groups first.
+ */
+const findDuplicateGroups = (visitors, dismissed = new Set()) => {
+  const candidates = visitors.map(toCandidate);
+  const blocks = new Map();
+  candidates.forEach((candidate, index) => {
+    blockKeys(candidate).forEach((key) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
+    });
+  });
+
+  // Union-find over visitor indexes, so chains of matches form one group.
+  const parent = candidates.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const pairs = [];
+  const compared = new Set();
+  blocks.forEach((members) => {
+    members.forEach((i, position) => {
+      members.slice(position + 1).forEach((j) => {
+        const a = candidates[i];
+        const b = candidates[j];
+        const key = pairKey(a.visitor.id, b.visitor.id);
+        if (compared.has(key) || dismissed.has(key)) return;
+        compared.add(key);
+
+        const reasons = matchReasons(a, b);
+        if (!reasons) return;
+        pairs.push({ ids: [a.visitor.id, b.visitor.id], reasons, root: i });
+        parent[find(i)] = find(j);
+      });
+    });
+  });
+
+  const groups = new Map();
+  candidates.forEach((candidate, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, { visitors: [], pairs: [] });
+    groups.get(root).visitors.push(candidate.visitor);
+  });
+  pairs.forEach(({ ids, reasons, root }) => {
+    groups.get(find(root)).pairs.push({ ids, reasons });
+  });
+
+  const hasBan = (group) => group.visitors.some((v) => v.isBanned === 1);
+  return [...groups.values()]
+    .filter((group) => group.visitors.length > 1)
+    .sort((a, b) => Number(hasBan(b)) - Number(hasBan(a)));
+};
+
+module.exports = {
+  pairKey,
+  findDuplicateGroups,
+};
@@ -0,0 +1,115 @@
+/**
+ * "Save As" visitor exports - Main process only.
+ * Picks the visitors and columns for a separate export file, such as a list
+ * of banned visitors for the security company.
+ */
+
+const { VISITOR_FIELDS } = require("./database");
+const { normalizeFlatNumber } = require("./validation");
+
+const EXPORT_FORMATS = ["csv", "json"];
+const EXPORT_STATUSES = ["all", "banned", "cleared"];
+
+/**
+ * Checks the options sent by the renderer and fills in defaults.
+ *
+ * @param {Object} options - `columns`, `format`, `status`, `flat`, `visitedFrom` and `visitedTo`.
+ * @returns {Object} The cleaned options.
+ * @throws {Error} When an option is not one the export understands.
+ */
+const validateExportOptions = (options = {}) => {
+  const columns = Array.isArray(options.columns) ? options.columns : [];
+  if (columns.length === 0) {
+    throw new Error("Choose at least one column to export.");
+  }
+  if (columns.some((column) => !VISITOR_FIELDS.includes(column))) {
+    throw new Error("Unknown column.");
+  }
+
+  const format = options.format || "csv";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error("Unknown export format.");
+  }
+  const status = options.status || "all";
+  if (!EXPORT_STATUSES.includes(status)) {
+    throw new Error("Unknown visitor status.");
+  }
+
+  const { visitedFrom = null, visitedTo = null } = options;
+  if (
+    [visitedFrom, visitedTo].some(
+      (value) => value !== null && Number.isNaN(Date.parse(value)),
+    )
+  ) {
+    throw new Error("Invalid date range.");
+  }
+  if (visitedFrom && visitedTo && visitedFrom > visitedTo) {
+    throw new Error("The start of the date range is after its end.");
+  }
+
+  return {
+    columns: VISITOR_FIELDS.filter((field) => columns.includes(field)),
+    format,
+    status,
+    flat: normalizeFlatNumber(options.flat),
+    visitedFrom,
+    visitedTo,
+  };
+};
+
+/**
+ * Applies the export filters and keeps only the chosen columns. JSON exports
+ * with the notes column also list each note separately, as `noteEntries`.
+ *
+ * @param {Object[]} visitors - Rows from the visitors table.
+ * @param {Object} options - Options from `validateExportOptions`.
+ * @param {Set<string>|null} visitedIds - Visitors seen in the date range, or null when there is no range.
+ * @param {Function} [listNotes] - Returns a visitor's notes from the database, newest first.
+ * @returns {Object[]} The records to write, in column order.
+ */
+const selectForExport = (visitors, options, visitedIds, listNotes) =>
+  visitors
+    .filter((visitor) => {
+      if (options.status === "banned" && visitor.isBanned !== 1) return false;
+      if (options.status === "cleared" && visitor.isBanned === 1) return false;
+      if (
+        options.flat &&
+        normalizeFlatNumber(visitor.flatNumber) !== options.flat
+      ) {
+        return false;
+      }
+      return !visitedIds || visitedIds.has(visitor.id);
+    })
+    .sort(
+      (a, b) =>
+        (a.lastName || "").localeCompare(b.lastName || "") ||
+        (a.firstName || "").localeCompare(b.firstName || ""),
+    )
+    .map((visitor) => {
+      const record = {};
+      options.columns.forEach((column) => {
+        const value = visitor[column];
+        record[column] = value === null || value === undefined ? "" : value;
+      });
+      if (
+        listNotes &&
+        options.format === "json" &&
+        options.columns.includes("generalNotes")
+      ) {
+        record.noteEntries = listNotes(visitor.id)
+          .reverse()
+          .map(({ category, body, author, createdAt, updatedAt }) => ({
+            category,
+            body,
+            author,
+            createdAt,
+            updatedAt: updatedAt || "",
+          }));
+      }
+      return record;
+    });
+
+module.exports = {
+  validateExportOptions,
+  selectForExport,
+};
@@ -0,0 +1,177 @@
+/**
+ * Safe CSV file writes - Main process only.
+ * Every write goes to a temp file that is renamed into place, so a crash
+ * never leaves a half-written CSV, and the previous version is kept as a
+ * timestamped, encrypted backup next to it.
+ */
+
+const path = require("node:path");
+const fs = require("fs");
+
+const BACKUP_FOLDER = "backups";
+const MAX_BACKUPS = 10;
+// Backups made before encryption end in plain ".csv" and can still be restored.
+const ENCRYPTED_SUFFIX = ".enc";
+
+/**
+ * Writes a file in full to a temp file, flushes it to disk, then renames
+ * it over the target in one step.
+ *
+ * @param {string} filePath - The file to replace.
+ * @param {string|Buffer} content - The complete new content.
+ */
+const writeFileAtomic = (filePath, content) => {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.tmp`,
+  );
+  const fd = fs.openSync(tempPath, "w");
+  try {
+    fs.writeFileSync(fd, content, "utf-8");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+};
+
+const getBackupDir = (filePath) =>
+  path.join(path.dirname(filePath), BACKUP_FOLDER);
+
+// "visitors.csv" -> backups are named "visitors-<key id>-<timestamp>.csv.enc".
+// Backups from before key ids have no id and are listed by every installation.
+const backupPrefix = (filePath) =>
+  `${path.basename(filePath, path.extname(filePath))}-`;
+
+const BACKUP_NAME =
+  /^(?:([0-9a-f]{8})-)?(\d{4}-\d\d-\d\dT[\d-]+Z)\.csv(?:\.enc)?$/;
+
+/**
+ * Lists the backups of a CSV file, newest first. Other installations sharing
+ * the folder keep their own backups, which this one could not decrypt, so
+ * they are left out.
+ *
+ * @param {string} filePath - The CSV file the backups belong to.
+ * @param {Object} cipher - From vault.js `createCipher`; only `keyId` is used.
+ * @returns {Object[]} `name`, `createdAt` and `size` of each backup.
+ */
+const listBackups = (filePath, cipher) => {
+  const dir = getBackupDir(filePath);
+  if (!fs.existsSync(dir)) return [];
+
+  const prefix = backupPrefix(filePath);
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.startsWith(prefix))
+    .map((name) => ({
+      name,
+      match: BACKUP_NAME.exec(name.slice(prefix.length)),
+    }))
+    .filter(({ match }) => match && (!match[1] || match[1] === cipher.keyId))
+    .map(({ name, match }) => {
+      const stats = fs.statSync(path.join(dir, name));
+      return {
+        name,
+        stamp: match[2],
+        createdAt: stats.mtime.toISOString(),
+        size: stats.size,
+      };
+    })
+    .sort((a, b) => b.stamp.localeCompare(a.stamp))
+    .map(({ name, createdAt, size }) => ({ name, createdAt, size }));
+};
+
+// Reads a listed backup, decrypting it unless it predates encryption.
+const readBackupFile = (dir, name, cipher) => {
+  const data = fs.readFileSync(path.join(dir, name));
+  return name.endsWith(ENCRYPTED_SUFFIX) ? cipher.decrypt(data) : data;
+};
+
+// Whether a backup holds exactly this content. One this key cannot open, such
+// as an older backup from another installation, counts as different.
+const backupMatches = (dir, name, cipher, content) => {
+  try {
+    return readBackupFile(dir, name, cipher).equals(content);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Copies the current CSV, encrypted, into the backups folder and drops this
+ * installation's oldest backups beyond MAX_BACKUPS. Skipped when the newest
+ * backup is identical.
+ *
+ * @param {string} filePath - The CSV file about to be overwritten.
+ * @param {Object} cipher - `keyId`, `encrypt` and `decrypt`, from vault.js `createCipher`.
+ * @returns {string|null} The new backup's name, or null when none was made.
+ */
+const createBackup = (filePath, cipher) => {
+  if (!fs.existsSync(filePath)) return null;
+
+  const dir = getBackupDir(filePath);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const content = fs.readFileSync(filePath);
+  const [newest] = listBackups(filePath, cipher);
+  if (newest && backupMatches(dir, newest.name, cipher, content)) {
+    return null;
+  }
+
+  // Sortable and safe in file names on every platform, e.g. 2026-01-31T09-05-00-123Z.
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const name = `${backupPrefix(filePath)}${cipher.keyId}-${stamp}.csv${ENCRYPTED_SUFFIX}`;
+  writeFileAtomic(path.join(dir, name), cipher.encrypt(content));
+
+  // Only backups named with this key are removed; older ones without an id
+  // may belong to another installation.
+  listBackups(filePath, cipher)
+    .filter((backup) =>
+      backup.name.startsWith(`${backupPrefix(filePath)}${cipher.keyId}-`),
+    )
+    .slice(MAX_BACKUPS)
+    .forEach((old) => fs.rmSync(path.join(dir, old.name), { force: true }));
+
+  return name;
+};
+
+/**
+ * Reads one backup. The name must be one returned by `listBackups`,
+ * so a request can never reach outside the backups folder.
+ *
+ * @param {string} filePath - The CSV file the backup belongs to.
+ * @param {string} name - The backup's file name.
+ * @param {Object} cipher - `encrypt` and `decrypt`, from vault.js `createCipher`.
+ * @returns {string} The backup's content.
+ */
+const readBackup = (filePath, name, cipher) => {
+  if (!listBackups(filePath, cipher).some((backup) => backup.name === name)) {
+    throw new Error("That backup does not exist.");
+  }
+  return readBackupFile(getBackupDir(filePath), name, cipher).toString("utf-8");
+};
+
+/**
+ * Backs up the current file, then replaces it atomically.
+ *
+ * @param {string} filePath - The CSV file to replace.
+ * @param {string} content - The complete new content.
+ * @param {Object} cipher - Encrypts the backup; see `createBackup`.
+ */
+const saveWithBackup = (filePath, content, cipher) => {
+  createBackup(filePath, cipher);
+  writeFileAtomic(filePath, content);
+};
+
+module.exports = {
+  writeFileAtomic,
+  listBackups,
+  readBackup,
+  saveWithBackup,
+};
@@ -0,0 +1,166 @@
+/**
+ * Visitor imports from other systems - Main process only.
+ * Source columns are mapped to visitor fields by the user, and every row is
+ * validated and checked for duplicates before anything is added.
+ */
+
+const crypto = require("node:crypto");
+const { validateVisitorFields, normalizeFlatNumber } = require("./validation");
+
+// The visitor fields an import can fill in, in the order the wizard shows them.
+const IMPORT_FIELDS = [
+  "firstName",
+  "lastName",
+  "flatNumber",
+  "phoneNumber",
+  "dateOfBirth",
+  "generalNotes",
+];
+
+// Header names other systems use for each field, compared after `normalizeKey`.
+const HEADER_SYNONYMS = {
+  firstName: ["firstname", "forename", "givenname", "first"],
+  lastName: ["lastname", "surname", "familyname", "last"],
+  flatNumber: ["flatnumber", "flatno", "flat", "unit", "apartment", "property"],
+  phoneNumber: ["phonenumber", "phone", "telephone", "tel", "mobile"],
+  dateOfBirth: ["dateofbirth", "dob", "birthdate", "birthday"],
+  generalNotes: ["generalnotes", "notes", "comments", "remarks"],
+};
+
+// Lower-case letters and digits only: "Flat No." -> "flatno", "O'Brien " -> "obrien".
+const normalizeKey = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Identifies the system a file came from by its set of headers, so a
+ * mapping saved for one export is offered again for the next.
+ *
+ * @param {string[]} headers
+ * @returns {string}
+ */
+const sourceKey = (headers) => headers.map(normalizeKey).sort().join("|");
+
+/**
+ * Suggests a source column for each field from the header names.
+ *
+ * @param {string[]} headers - The file's headers.
+ * @returns {Object} Source header per visitor field; unmatched fields are left out.
+ */
+const guessMapping = (headers) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const header = headers.find((h) =>
+      HEADER_SYNONYMS[field].includes(normalizeKey(h)),
+    );
+    if (header) mapping[field] = header;
+  });
+  return mapping;
+};
+
+/**
+ * Keeps only the parts of a mapping that still fit the file's headers.
+ *
+ * @throws {Error} When first or last name is not mapped.
+ */
+const cleanMapping = (mapping, headers) => {
+  const cleaned = {};
+  IMPORT_FIELDS.forEach((field) => {
+    if (mapping && headers.includes(mapping[field])) {
+      cleaned[field] = mapping[field];
+    }
+  });
+  if (!cleaned.firstName || !cleaned.lastName) {
+    throw new Error("Choose the columns holding the first and last name.");
+  }
+  return cleaned;
+};
+
+/**
+ * Brings common date layouts to DD/MM/YYYY: 2001-02-03, 3/2/2001 and 03.02.2001.
+ * Anything else is returned as is, for validation to reject.
+ */
+const normalizeDate = (value) => {
+  const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) {
+    return `${iso[3].padStart(2, "0")}/${iso[2].padStart(2, "0")}/${iso[1]}`;
+  }
+  const dayFirst = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) {
+    return `${dayFirst[1].padStart(2, "0")}/${dayFirst[2].padStart(2, "0")}/${dayFirst[3]}`;
+  }
+  return value;
+};
+
+// Two visitors are taken to be the same person when name and date of birth match.
+const duplicateKey = (visitor) =>
+  [visitor.firstName, visitor.lastName, visitor.dateOfBirth]
+    .map((value) => (value || "").trim().toLowerCase())
+    .join("|");
+
+/**
+ * Maps and checks every record of the file.
+ *
+ * @param {Object[]} records - Records from csv.js `parseCsv`.
+ * @param {Object} mapping - Source header per visitor field.
+ * @param {Object[]} existing - The visitors already in the app.
+ * @returns {Object} `ready` visitors (with new ids), rows with `errors`, and `duplicates`.
+ */
+const checkImport = (records, mapping, existing) => {
+  const existingByKey = new Map(existing.map((v) => [duplicateKey(v), v]));
+  const rowByKey = new Map();
+  const result = { ready: [], errors: [], duplicates: [] };
+
+  records.forEach(({ row, fields }) => {
+    const visitor = {};
+    IMPORT_FIELDS.forEach((field) => {
+      visitor[field] = mapping[field] ? fields[mapping[field]] || "" : "";
+    });
+    if (visitor.dateOfBirth) {
+      visitor.dateOfBirth = normalizeDate(visitor.dateOfBirth);
+    }
+    visitor.flatNumber = normalizeFlatNumber(visitor.flatNumber);
+    const name = `${visitor.firstName} ${visitor.lastName}`.trim();
+
+    const errors = Object.values(validateVisitorFields(visitor));
+    if (errors.length > 0) {
+      result.errors.push({ row, name, messages: errors });
+      return;
+    }
+
+    const key = duplicateKey(visitor);
+    const match = existingByKey.get(key);
+    if (match) {
+      result.duplicates.push({
+        row,
+        name,
+        reason: `Already in the app as ${match.firstName} ${match.lastName}.`,
+      });
+      return;
+    }
+    if (rowByKey.has(key)) {
+      result.duplicates.push({
+        row,
+        name,
+        reason: `Same person as row ${rowByKey.get(key)}.`,
+      });
+      return;
+    }
+
+    rowByKey.set(key, row);
+    result.ready.push({ ...visitor, id: crypto.randomUUID() });
+  });
+
+  return result;
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  normalizeKey,
+  normalizeDate,
+  sourceKey,
+  guessMapping,
+  cleanMapping,
+  checkImport,
+};
@@ -1,10 +1,122 @@
 const { app, BrowserWindow, ipcMain, dialog, protocol } = require("electron");
 const path = require("node:path");
 const fs = require("fs");
+const crypto = require("node:crypto");
+const { hasPermission, createStaffStore } = require("./auth");
+const { VISITOR_FIELDS, createVisitorDatabase } = require("./database");
+const { rowHash, planSync, resolveConflict } = require("./sync");
+const {
+  writeFileAtomic,
+  listBackups,
+  readBackup,
+  saveWithBackup,
+} = require("./file-store");
+const { validateExportOptions, selectForExport } = require("./export");
+const { parseCsv, stringifyCsv } = require("./csv");
+const { createSettingsStore } = require("./settings");
+const { pairKey, findDuplicateGroups } = require("./duplicates");
+const {
+  fillMonths,
+  buildDashboardReport,
+  BADGE_PAGE_SIZE,
+  buildBadge,
+  buildWatchSheet,
+  renderPdf,
+} = require("./reports");
+const { createFileWatcher } = require("./watcher");
+const {
+  DEFAULT_API_PORT,
+  validateApiSettings,
+  createApiToken,
+  hashApiToken,
+  startApiServer,
+} = require("./api");
+const {
+  savePhoto,
+  deletePhoto,
+  readPhoto,
+  photoDataUrl,
+  servePhoto,
+} = require("./photos");
+const { createDataKey, createCipher } = require("./vault");
+const { validateBanTerms, toLocalDate, validateNote } = require("./validation");
+const {
+  IMPORT_FIELDS,
+  sourceKey,
+  guessMapping,
+  cleanMapping,
+  checkImport,
+} = require("./import");
 app.disableHardwareAcceleration();
 
 // --- Global State Variable ---
 let lastUsedFilePath = null;
+// The signed-in staff member; every privileged IPC handler checks this.
+let currentUser = null;
+let staffStore = null;
+let visitorDb = null;
+// The key the visitor data is encrypted with; only held while someone is signed in.
+let dataKey = null;
+let settingsStore = null;
+
+const getStaffStore = () => {
+  if (!staffStore) {
+    staffStore = createStaffStore(
+      path.join(app.getPath("userData"), "staff.json"),
+    );
+  }
+  return staffStore;
+};
+
+// The database file lives with the app's own data, not in the renderer's profile.
+const getDatabase = () => {
+  if (!dataKey) {
+    throw new Error("The visitor data is locked. Sign in to unlock it.");
+  }
+  if (!visitorDb) {
+    visitorDb = createVisitorDatabase(
+      path.join(app.getPath("userData"), "visitors.db"),
+      dataKey,
+    );
+  }
+  return visitorDb;
+};
+
+// Closes the database and forgets the key, so the next person has to sign in again.
+const lockData = () => {
+  if (visitorDb) visitorDb.close();
+  visitorDb = null;
+  dataKey = null;
+  pendingSync = null;
+};
+
+const getSettings = () => {
+  if (!settingsStore) {
+    settingsStore = createSettingsStore(
+      path.join(app.getPath("userData"), "settings.json"),
+    );
+  }
+  return settingsStore;
+};
+
+/**
+ * Returns an error result when the current session lacks a permission,
+ * or null when the caller may go ahead.
+ *
+ * @param {string} permission - The permission the handler requires.
+ */
+const requirePermission = (permission) => {
+  if (!currentUser) {
+    return { success: false, error: "You are not signed in." };
+  }
+  if (!hasPermission(currentUser, permission)) {
+    return {
+      success: false,
+      error: "Your role does not allow this action.",
+    };
+  }
+  return null;
+};
 
 // 1. MUST register schemes before app is ready
 protocol.registerSchemesAsPrivileged([
@@ -22,6 +134,11 @@ function createWindow() {
     },
   });
 
+  // The camera is the only device the page may ask for, for ID photos.
+  win.webContents.session.setPermissionRequestHandler(
+    (webContents, permission, callback) => callback(permission === "media"),
+  );
+
   win.loadFile("index.html");
 }
 
@@ -34,196 +151,1947 @@ ipcMain.handle("get-file-dir", async () => {
   return null;
 });
 
-// --- CSV Parsing and Stringify Helper Functions ---
-/**
- * A more robust function to parse CSV text, handling commas inside quoted fields.
- * It also maps the 'visitorId' header to the 'id' property in the object.
- *
- * @param {string} csvText - The raw CSV data as a string.
- * @returns {Object[]} An array of visitor objects.
- */
-const parseCsv = (csvText) => {
-  // Splits the text into lines, removing any empty lines.
-  const lines = csvText.split(/\r?\n/).filter((line) => line.trim() !== "");
-  if (lines.length === 0) return [];
-
-  // Trims headers to remove whitespace.
-  const headers = lines[0].split(",").map((header) => header.trim());
-  const data = [];
-
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i];
-    const values = [];
-    let inQuote = false;
-    let start = 0;
-
-    // Iterates through the line to correctly handle quoted values.
-    for (let j = 0; j < line.length; j++) {
-      // Toggles the `inQuote` flag when a double quote is found,
-      // as long as it's not an escaped quote (`\"`).
-      if (line[j] === '"' && (j === 0 || line[j - 1] !== "\\")) {
-        inQuote = !inQuote;
-      } else if (line[j] === "," && !inQuote) {
-        // If a comma is found outside of quotes, it's a delimiter.
-        let value = line.substring(start, j).trim();
-        // Removes surrounding quotes and unescapes internal double quotes.
-        if (value.startsWith('"') && value.endsWith('"')) {
-          value = value.substring(1, value.length - 1).replace(/""/g, '"');
-        }
-        values.push(value);
-        start = j + 1;
+// --- Authentication Handlers ---
+// Tells the login screen whether to sign in or to create the first account.
+ipcMain.handle("auth:status", async () => {
+  return { hasAccounts: getStaffStore().hasAccounts(), user: currentUser };
+});
+
+// Creates the first supervisor account, and the key the visitor data is
+// encrypted with; refused once any account exists.
+ipcMain.handle("auth:setup", async (event, details) => {
+  const store = getStaffStore();
+  if (store.hasAccounts()) {
+    return { success: false, error: "Staff accounts are already set up." };
+  }
+  try {
+    const key = createDataKey();
+    currentUser = store.addAccount({ ...details, role: "supervisor" }, key);
+    dataKey = key;
+    return { success: true, user: currentUser };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Signing in also unlocks the data key. After an upgrade from a version
+// without encryption, the first supervisor to sign in creates the key.
+ipcMain.handle("auth:login", async (event, { username, password } = {}) => {
+  const store = getStaffStore();
+  const user = store.authenticate(username, password);
+  if (!user) {
+    return { success: false, error: "Incorrect username or password." };
+  }
+
+  try {
+    let key = store.unlockDataKey(username, password);
+    if (!key && !store.hasDataKey()) {
+      if (user.role !== "supervisor") {
+        return {
+          success: false,
+          error:
+            "A supervisor needs to sign in once to turn on encryption before anyone else can.",
+        };
       }
+      key = createDataKey();
+      store.storeDataKey(username, password, key);
     }
-    // Handles the last value in the line.
-    let lastValue = line.substring(start).trim();
-    if (lastValue.startsWith('"') && lastValue.endsWith('"')) {
-      lastValue = lastValue
-        .substring(1, lastValue.length - 1)
-        .replace(/""/g, '"');
-    }
-    values.push(lastValue);
-
-    const row = {};
-    let hasId = false;
-    headers.forEach((header, index) => {
-      // Replaces 'visitorId' with 'id' for consistency.
-      const key = header === "visitorId" ? "id" : header;
-      row[key] = values[index] ? values[index].trim() : "";
-      if (key === "id" && row[key]) {
-        hasId = true;
-      }
-    });
-
-    // Only pushes rows that have a valid ID.
-    if (hasId) {
-      data.push(row);
+    if (!key) {
+      return {
+        success: false,
+        error:
+          "Your account was created before the visitor data was encrypted. Ask a supervisor to set a new password for you under Staff Accounts.",
+      };
     }
+    currentUser = user;
+    dataKey = key;
+    return { success: true, user };
+  } catch (error) {
+    console.error("Could not unlock the data key:", error);
+    return { success: false, error: error.message };
   }
-  return data;
-};
+});
+
+ipcMain.handle("auth:logout", async () => {
+  currentUser = null;
+  lockData();
+  return { success: true };
+});
+
+ipcMain.handle("staff:list", async () => {
+  const denied = requirePermission("manageStaff");
+  if (denied) return denied;
+  return { success: true, accounts: getStaffStore().listAccounts() };
+});
+
+ipcMain.handle("staff:create", async (event, details) => {
+  const denied = requirePermission("manageStaff");
+  if (denied) return denied;
+  try {
+    const account = getStaffStore().addAccount(details, dataKey);
+    return { success: true, account };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Sets a forgotten password, or gives an account from before encryption its copy of the key.
+ipcMain.handle(
+  "staff:setPassword",
+  async (event, { username, password } = {}) => {
+    const denied = requirePermission("manageStaff");
+    if (denied) return denied;
+    try {
+      getStaffStore().setPassword(username, password, dataKey);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+);
+
+// --- CSV Visitor Rows ---
 
 /**
- * Converts a given array of visitor objects back into a CSV formatted string.
+ * Reads the visitor rows of the open CSV, mapping the file's "visitorId"
+ * header to `id`. Rows without a name, or repeating an id used earlier in
+ * the file, are left out and reported with the rows csv.js skipped.
  *
- * @param {Object[]} visitors - An array of visitor objects.
- * @returns {string} The CSV data as a string.
+ * @param {string} content - The CSV file content.
+ * @returns {Object} `rows`, `skipped` (`row` and `reason`) and the file's
+ *   `format`: its `delimiter`, `lineBreak`, `bom` and original `headers`.
  */
-const stringifyCsv = (visitors) => {
-  if (visitors.length === 0) return "";
+const readVisitorFile = (content) => {
+  const { headers, records, skipped, delimiter, lineBreak, bom } =
+    parseCsv(content);
+  const rowsById = new Map();
+  const rows = [];
+
+  records.forEach(({ row: rowNumber, fields }) => {
+    const { visitorId, ...rest } = fields;
+    const row = { id: visitorId || "", ...rest };
+    if (!row.firstName || !row.lastName) {
+      skipped.push({ row: rowNumber, reason: "Missing first or last name." });
+    } else if (row.id && rowsById.has(row.id)) {
+      skipped.push({
+        row: rowNumber,
+        reason: `Repeats the visitor id from row ${rowsById.get(row.id)}.`,
+      });
+    } else {
+      if (row.id) rowsById.set(row.id, rowNumber);
+      rows.push(row);
+    }
+  });
+
+  skipped.sort((a, b) => a.row - b.row);
+  return { rows, skipped, format: { delimiter, lineBreak, bom, headers } };
+};
 
-  // Gets the headers from the first object.
-  const headers = Object.keys(visitors[0]);
-  const headerRow = headers.join(",");
+// --- File Watching ---
+// Other staff edit the shared CSV in Excel and drop ID scans into the photos
+// folder; the renderer is told so it can refresh.
 
-  const rows = visitors.map((visitor) => {
-    return headers
-      .map((header) => {
-        const value = visitor[header];
-        // Checks if a value needs to be wrapped in quotes.
-        const needsQuotes =
-          typeof value === "string" &&
-          (value.includes(",") || value.includes('"'));
-        let formattedValue =
-          value === null || value === undefined ? "" : value.toString();
+// Hash of the CSV content the app last read or wrote, so its own saves are not
+// reported back as outside changes.
+let csvHashSeen = null;
 
-        if (needsQuotes) {
-          // Escapes any double quotes within the value.
-          formattedValue = `"${formattedValue.replace(/"/g, '""')}"`;
-        }
-        return formattedValue;
-      })
-      .join(",");
-  });
+const notifyRenderer = (channel, payload) => {
+  BrowserWindow.getAllWindows().forEach((win) =>
+    win.webContents.send(channel, payload),
+  );
+};
+
+const fileWatcher = createFileWatcher({
+  onCsvChange: () => {
+    if (!lastUsedFilePath || !fs.existsSync(lastUsedFilePath)) return;
+    try {
+      const hash = hashContent(fs.readFileSync(lastUsedFilePath, "utf-8"));
+      if (hash === csvHashSeen) return;
+      csvHashSeen = hash;
+      notifyRenderer("files:changed", { kind: "csv" });
+    } catch (error) {
+      // Excel may still hold the file; the next change event retries.
+      console.error("Could not read the changed CSV:", error);
+    }
+  },
+  onPhotosChange: (names) =>
+    notifyRenderer("files:changed", { kind: "photos", names }),
+});
+
+// Saves new CSV content (with a backup) and remembers it as the app's own write.
+const saveCsvContent = (content) => {
+  saveWithBackup(lastUsedFilePath, content, createCipher(dataKey));
+  csvHashSeen = hashContent(content);
+};
+
+// --- CSV File Handlers ---
+// The synced CSV can be switched at any time; the last one is reopened on the next launch.
+
+const MAX_RECENT_FILES = 8;
+
+const getRecentFiles = () => getSettings().get("recentFiles", []);
+
+const forgetRecentFile = (filePath) =>
+  getSettings().set(
+    "recentFiles",
+    getRecentFiles().filter((f) => f !== filePath),
+  );
 
-  // Joins header and data rows with a newline.
-  return [headerRow, ...rows].join("\n");
+/**
+ * Makes a CSV file the one the app syncs with, and moves it to the top of
+ * the recent files.
+ *
+ * @param {string} filePath - The file to open.
+ * @returns {Object} The result to hand to the renderer.
+ */
+const openCsvFile = (filePath) => {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    forgetRecentFile(resolved);
+    return {
+      success: false,
+      error: `${path.basename(resolved)} could not be found. It may have been moved or renamed.`,
+    };
+  }
+  // Fails early on a file the app could read but never write back.
+  fs.accessSync(resolved, fs.constants.R_OK | fs.constants.W_OK);
+
+  lastUsedFilePath = resolved;
+  pendingSync = null;
+  csvHashSeen = hashContent(fs.readFileSync(resolved, "utf-8"));
+  fileWatcher.start(resolved);
+
+  // Photos live next to the CSV, so the retention policy runs once one is open.
+  let purged = 0;
+  try {
+    purged = applyRetentionPolicy(RETENTION_OPERATOR).count;
+  } catch (error) {
+    console.error("Could not apply the retention policy:", error);
+  }
+
+  getSettings().set(
+    "recentFiles",
+    [resolved, ...getRecentFiles().filter((f) => f !== resolved)].slice(
+      0,
+      MAX_RECENT_FILES,
+    ),
+  );
+  return {
+    success: true,
+    filePath: resolved,
+    fileName: path.basename(resolved),
+    purged,
+  };
 };
 
-// --- IPC Communication Handlers ---
-// Handles the request from the renderer process to open a file dialog and read a CSV file.
-ipcMain.handle("dialog:readCsvFile", async () => {
+// Lets the user pick a CSV file with the system dialog and opens it.
+ipcMain.handle("files:choose", async () => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+
   try {
     const { canceled, filePaths } = await dialog.showOpenDialog({
+      title: "Open Visitor CSV",
+      defaultPath: lastUsedFilePath
+        ? path.dirname(lastUsedFilePath)
+        : undefined,
       properties: ["openFile"],
       filters: [{ name: "CSV Files", extensions: ["csv"] }],
     });
-
     if (canceled || filePaths.length === 0) {
-      return null; // Returns null if the user cancels.
-    } else {
-      const filePath = filePaths[0];
-      lastUsedFilePath = filePath; // Stores the path for future saves.
-      const fileContent = fs.readFileSync(filePath, "utf-8");
-      return fileContent;
+      return { success: false, canceled: true };
     }
+    return openCsvFile(filePaths[0]);
   } catch (error) {
-    console.error("Error reading file:", error);
-    return null;
+    console.error("Error opening CSV file:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Opens one of the recent files. Only paths already in the list are
+ * accepted, so the renderer cannot point the app at an arbitrary file.
+ *
+ * @param {string} filePath - A path from `files:recent`.
+ */
+ipcMain.handle("files:openRecent", async (event, filePath) => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+
+  if (!getRecentFiles().includes(filePath)) {
+    return { success: false, error: "That file is not in the recent list." };
+  }
+  try {
+    return openCsvFile(filePath);
+  } catch (error) {
+    console.error("Error opening CSV file:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Reopens the file used last time, if there is one, at startup.
+ipcMain.handle("files:reopenLast", async () => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+
+  const [lastFile] = getRecentFiles();
+  if (!lastFile) {
+    return { success: false };
+  }
+  try {
+    return openCsvFile(lastFile);
+  } catch (error) {
+    console.error("Error reopening CSV file:", error);
+    return { success: false, error: error.message };
   }
 });
 
-// Handles the request to update and save the CSV file with the updated visitor data.
-ipcMain.handle("dialog:updateAndSaveCsvFile", async (event, updatedVisitor) => {
+ipcMain.handle("files:recent", async () => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+
+  return {
+    success: true,
+    files: getRecentFiles().map((filePath) => ({
+      filePath,
+      fileName: path.basename(filePath),
+      folder: path.dirname(filePath),
+      current: filePath === lastUsedFilePath,
+    })),
+  };
+});
+
+/**
+ * Puts a visitor into CSV column order, writing the id back under the
+ * file's "visitorId" header. Columns the app does not know are kept.
+ *
+ * @param {Object} visitor - A visitor row, optionally merged over the file's row.
+ * @returns {Object} The record to hand to `stringifyCsv`.
+ */
+const toCsvRecord = (visitor) => {
+  const record = { visitorId: visitor.id || "" };
+  VISITOR_FIELDS.filter((field) => field !== "id").forEach((field) => {
+    const value = visitor[field];
+    record[field] = value === null || value === undefined ? "" : value;
+  });
+  Object.keys(visitor)
+    .filter((key) => key !== "id" && !(key in record))
+    .forEach((key) => {
+      record[key] = visitor[key];
+    });
+  return record;
+};
+
+/**
+ * The columns to write: the app's own, in toCsvRecord order, then every other
+ * column the file had, whether or not the rows being written carry it.
+ *
+ * @param {string[]} [fileHeaders] - The headers the file was read with.
+ * @param {Object[]} records - The rows from toCsvRecord.
+ */
+const csvHeaders = (fileHeaders = [], records) => {
+  const headers = [
+    "visitorId",
+    ...VISITOR_FIELDS.filter((field) => field !== "id"),
+  ];
+  [...fileHeaders, ...records.flatMap(Object.keys)].forEach((header) => {
+    if (header && header !== "id" && !headers.includes(header)) {
+      headers.push(header);
+    }
+  });
+  return headers;
+};
+
+// Replaces the whole CSV file with the given rows in a single atomic write,
+// keeping the previous version as a backup. `format` keeps the file's
+// delimiter, line breaks, BOM and columns.
+const writeCsvRows = (rows, { headers, ...format }) => {
+  const records = rows.map(toCsvRecord);
+  saveCsvContent(
+    stringifyCsv(records, {
+      ...format,
+      headers: csvHeaders(headers, records),
+    }),
+  );
+};
+
+/**
+ * Writes one visitor row into the open CSV file, adding it when it is new,
+ * and records that the app and the file now agree on it.
+ *
+ * @param {Object} visitor - The visitor as stored in the database.
+ * @param {string[]} [removedIds] - Rows to take out of the file in the same write.
+ */
+const writeVisitorToCsv = (visitor, removedIds = []) => {
+  const { rows, format } = readVisitorFile(
+    fs.readFileSync(lastUsedFilePath, "utf-8"),
+  );
+  const visitors = rows.filter((row) => !removedIds.includes(row.id));
+  const visitorIndex = visitors.findIndex((v) => v.id === visitor.id);
+
+  if (visitorIndex !== -1) {
+    // Merges over the existing row so extra CSV columns are preserved.
+    visitors[visitorIndex] = { ...visitors[visitorIndex], ...visitor };
+  } else {
+    visitors.push(visitor);
+  }
+
+  writeCsvRows(visitors, format);
+  getDatabase().recordSyncStates(
+    lastUsedFilePath,
+    [{ id: visitor.id, hash: rowHash(visitor) }],
+    new Date().toISOString(),
+  );
+};
+
+// --- CSV Sync Handlers ---
+// A sync is planned first and only written once every conflict is resolved.
+
+// The plan awaiting the user's conflict decisions, with the file hash it was based on.
+let pendingSync = null;
+
+const hashContent = (content) =>
+  crypto.createHash("sha256").update(content).digest("hex");
+
+ipcMain.handle("sync:plan", async () => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+
   if (!lastUsedFilePath) {
+    return { success: false, error: "No CSV file has been opened yet." };
+  }
+
+  try {
+    const content = fs.readFileSync(lastUsedFilePath, "utf-8");
+    // Rows added by hand without an id get one now; it is written back on sync.
+    const newIds = new Set();
+    const { rows, skipped, format } = readVisitorFile(content);
+    const fileRows = rows.map((row) => {
+      if (row.id) return row;
+      const id = crypto.randomUUID();
+      newIds.add(id);
+      return { ...row, id };
+    });
+
+    const db = getDatabase();
+    const plan = planSync(
+      fileRows,
+      db.listVisitors(),
+      db.getSyncStates(lastUsedFilePath),
+      new Set([...db.listErasedIds(), ...db.listMergedIds()]),
+      hasPermission(currentUser, "unban"),
+    );
+    pendingSync = {
+      plan,
+      fileRows,
+      newIds,
+      format,
+      fileHash: hashContent(content),
+    };
+
     return {
-      success: false,
-      error: "No file has been selected for saving yet.",
+      success: true,
+      toApp: plan.toApp.length,
+      // Removing an erased or merged visitor's row is a change to the file like any other.
+      toFile: plan.toFile.length + plan.toRemove.length,
+      unchanged: plan.unchanged,
+      conflicts: plan.conflicts,
+      skipped,
+      canWriteFile: hasPermission(currentUser, "export"),
     };
+  } catch (error) {
+    console.error("Error planning sync:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Applies the pending sync. Users who may not export only receive changes
+ * from the file; conflicts and app-side changes wait for a supervisor.
+ *
+ * @param {Object} resolutions - Conflict choice per visitor id: "app", "file" or "merge".
+ */
+ipcMain.handle("sync:apply", async (event, resolutions = {}) => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+
+  if (!pendingSync) {
+    return { success: false, error: "There is no sync waiting to be applied." };
   }
 
+  const { plan, fileRows, newIds, format, fileHash } = pendingSync;
+  const canWriteFile = hasPermission(currentUser, "export");
+
   try {
-    // Reads the existing file content.
-    const fileContent = fs.readFileSync(lastUsedFilePath, "utf-8");
-    // Parses the content into an array of visitor objects.
-    const visitors = parseCsv(fileContent);
+    const content = fs.readFileSync(lastUsedFilePath, "utf-8");
+    if (hashContent(content) !== fileHash) {
+      pendingSync = null;
+      return {
+        success: false,
+        error:
+          "The CSV file was changed while you were reviewing. Please sync again.",
+      };
+    }
+
+    const unresolved = plan.conflicts.filter((c) => !resolutions[c.id]);
+    if (canWriteFile && unresolved.length > 0) {
+      return {
+        success: false,
+        error: `Choose how to resolve all ${plan.conflicts.length} conflicts first.`,
+      };
+    }
 
-    // Finds the index of the visitor to update.
-    const visitorIndex = visitors.findIndex(
-      (v) =>
-        v.id && updatedVisitor.id && v.id.trim() === updatedVisitor.id.trim(),
+    // New ids can only be kept if they are written back to the file.
+    const rowsToApp = plan.toApp.filter(
+      (row) => canWriteFile || !newIds.has(row.id),
     );
+    if (canWriteFile) {
+      plan.conflicts.forEach((conflict) => {
+        rowsToApp.push(resolveConflict(conflict, resolutions[conflict.id]));
+      });
+    }
 
-    if (visitorIndex !== -1) {
-      // Replaces the existing visitor object with the updated one.
-      visitors[visitorIndex] = updatedVisitor;
-    } else {
-      // Adds a new visitor if they don't exist.
-      visitors.push(updatedVisitor);
+    const syncedAt = new Date().toISOString();
+    const db = getDatabase();
+    db.applySync(rowsToApp, syncedAt, `${currentUser.displayName} (CSV sync)`);
+
+    if (canWriteFile) {
+      const fileById = new Map(fileRows.map((row) => [row.id, row]));
+      writeCsvRows(
+        db.listVisitors().map((visitor) => ({
+          ...fileById.get(visitor.id),
+          ...visitor,
+        })),
+        format,
+      );
     }
 
-    // Converts the updated array back into a CSV string.
-    const newCsvContent = stringifyCsv(visitors);
-    // Writes the new CSV content back to the same file.
-    fs.writeFileSync(lastUsedFilePath, newCsvContent, "utf-8");
+    // Every row that now matches on both sides gets a fresh baseline.
+    const appById = new Map(db.listVisitors().map((v) => [v.id, v]));
+    const states = readVisitorFile(fs.readFileSync(lastUsedFilePath, "utf-8"))
+      .rows.filter(
+        (row) =>
+          appById.has(row.id) && rowHash(appById.get(row.id)) === rowHash(row),
+      )
+      .map((row) => ({ id: row.id, hash: rowHash(row) }));
+    db.recordSyncStates(lastUsedFilePath, states, syncedAt);
 
-    return { success: true };
+    pendingSync = null;
+    return {
+      success: true,
+      toApp: rowsToApp.length,
+      toFile: canWriteFile
+        ? plan.toFile.length + plan.toRemove.length + plan.conflicts.length
+        : 0,
+      waiting: canWriteFile
+        ? 0
+        : plan.toFile.length +
+          plan.toRemove.length +
+          plan.conflicts.length +
+          (plan.toApp.length - rowsToApp.length),
+    };
   } catch (error) {
-    console.error("Error updating and saving file:", error);
+    console.error("Error applying sync:", error);
     return { success: false, error: error.message };
   }
 });
 
-// --- Application Lifecycle ---
-// This event is fired when the Electron app is ready to create browser windows.
-app.whenReady().then(() => {
-  // 2. Set up the protocol handler properly
-  protocol.registerFileProtocol("vlog-img", (request, callback) => {
-    const url = request.url.replace("vlog-img://", "");
+// Drops a planned sync the user backed out of.
+ipcMain.handle("sync:cancel", async () => {
+  pendingSync = null;
+  return { success: true };
+});
+
+// --- ID Photo Handlers ---
+// Photos are stored in the photos folder next to the open CSV.
+
+/**
+ * Stores a photo for a visitor, points their profile at it and writes the
+ * change through to the CSV.
+ *
+ * @param {string} visitorId
+ * @param {Buffer} buffer - JPEG or PNG image data.
+ * @returns {Object} The IPC result, with the updated `visitor`.
+ */
+const attachPhoto = (visitorId, buffer) => {
+  if (!lastUsedFilePath) {
+    return {
+      success: false,
+      error: "Open a CSV file first; photos are kept next to it.",
+    };
+  }
+  const db = getDatabase();
+  if (!db.getVisitor(visitorId)) {
+    return { success: false, error: "Visitor not found." };
+  }
+
+  const fileName = savePhoto(
+    path.join(path.dirname(lastUsedFilePath), "photos"),
+    visitorId,
+    buffer,
+  );
+  const saved = db.setPhoto(visitorId, fileName);
+  try {
+    writeVisitorToCsv(saved);
+  } catch (error) {
+    console.error("Error writing visitor to CSV:", error);
+    return { success: true, visitor: saved, csvError: error.message };
+  }
+  return { success: true, visitor: saved };
+};
+
+// Saves a frame captured from the camera in the renderer.
+ipcMain.handle(
+  "photos:saveCapture",
+  async (event, { visitorId, data } = {}) => {
+    const denied = requirePermission("add");
+    if (denied) return denied;
     try {
-      // decodeURIComponent is vital for Windows paths with spaces!
-      return callback(decodeURIComponent(url));
+      return attachPhoto(visitorId, Buffer.from(data));
     } catch (error) {
-      console.error("Protocol error:", error);
+      console.error("Error saving captured photo:", error);
+      return { success: false, error: error.message };
     }
-  });
+  },
+);
 
-  createWindow();
+// Lets the user pick an image file and copies it into the photos folder.
+ipcMain.handle("photos:attachFile", async (event, visitorId) => {
+  const denied = requirePermission("add");
+  if (denied) return denied;
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      title: "Attach ID Photo",
+      properties: ["openFile"],
+      filters: [{ name: "Images", extensions: ["jpg", "jpeg", "png"] }],
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    return attachPhoto(visitorId, fs.readFileSync(filePaths[0]));
+  } catch (error) {
+    console.error("Error attaching photo:", error);
+    return { success: false, error: error.message };
+  }
+});
 
-  app.on("activate", () => {
-    if (BrowserWindow.getAllWindows().length === 0) createWindow();
-  });
+// --- Import Wizard Handlers ---
+// A file from another system is opened, mapped and checked before any visitor is added.
+
+// The parsed file being imported, until it is committed or cancelled.
+let pendingImport = null;
+
+const PREVIEW_ROWS = 5;
+
+ipcMain.handle("import:open", async () => {
+  const denied = requirePermission("import");
+  if (denied) return denied;
+
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      title: "Import Visitors",
+      properties: ["openFile"],
+      filters: [{ name: "CSV Files", extensions: ["csv", "txt"] }],
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+
+    const parsed = parseCsv(fs.readFileSync(filePaths[0], "utf-8"));
+    if (parsed.records.length === 0) {
+      return { success: false, error: "That file has no rows to import." };
+    }
+
+    const key = sourceKey(parsed.headers);
+    const saved = getSettings().get("importMappings", {})[key];
+    pendingImport = { parsed, key };
+
+    return {
+      success: true,
+      fileName: path.basename(filePaths[0]),
+      fields: IMPORT_FIELDS,
+      headers: parsed.headers,
+      preview: parsed.records.slice(0, PREVIEW_ROWS).map((r) => r.fields),
+      total: parsed.records.length,
+      skipped: parsed.skipped,
+      mapping: saved || guessMapping(parsed.headers),
+      remembered: Boolean(saved),
+    };
+  } catch (error) {
+    console.error("Error opening import file:", error);
+    return { success: false, error: error.message };
+  }
 });
 
-app.on("window-all-closed", () => {
-  if (process.platform !== "darwin") app.quit();
+/**
+ * Validates every row against a mapping without adding anything.
+ *
+ * @param {Object} mapping - Source header per visitor field.
+ */
+ipcMain.handle("import:check", async (event, mapping) => {
+  const denied = requirePermission("import");
+  if (denied) return denied;
+  if (!pendingImport) {
+    return { success: false, error: "There is no import in progress." };
+  }
+
+  try {
+    const { parsed } = pendingImport;
+    const result = checkImport(
+      parsed.records,
+      cleanMapping(mapping, parsed.headers),
+      getDatabase().listVisitors(),
+    );
+    return {
+      success: true,
+      ready: result.ready.length,
+      errors: result.errors,
+      duplicates: result.duplicates,
+      skipped: parsed.skipped,
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Adds every row that passed the checks and remembers the mapping for the
+ * next file with the same headers. Rows with errors or duplicates are left out.
+ *
+ * @param {Object} mapping - Source header per visitor field.
+ */
+ipcMain.handle("import:commit", async (event, mapping) => {
+  const denied = requirePermission("import");
+  if (denied) return denied;
+  if (!pendingImport) {
+    return { success: false, error: "There is no import in progress." };
+  }
+
+  try {
+    const { parsed, key } = pendingImport;
+    const cleaned = cleanMapping(mapping, parsed.headers);
+    const db = getDatabase();
+    const { ready } = checkImport(parsed.records, cleaned, db.listVisitors());
+    const imported = db.importVisitors(ready, {
+      name: currentUser.displayName,
+      username: currentUser.username,
+    });
+
+    const mappings = getSettings().get("importMappings", {});
+    getSettings().set("importMappings", { ...mappings, [key]: cleaned });
+
+    pendingImport = null;
+    return { success: true, imported };
+  } catch (error) {
+    console.error("Error importing visitors:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("import:cancel", async () => {
+  pendingImport = null;
+  return { success: true };
+});
+
+// --- CSV Backup Handlers ---
+// Backups are taken automatically before every write to the CSV file.
+
+ipcMain.handle("backups:list", async () => {
+  const denied = requirePermission("export");
+  if (denied) return denied;
+
+  if (!lastUsedFilePath) {
+    return { success: false, error: "No CSV file has been opened yet." };
+  }
+
+  try {
+    return {
+      success: true,
+      backups: listBackups(lastUsedFilePath, createCipher(dataKey)),
+    };
+  } catch (error) {
+    console.error("Error listing backups:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Puts a backup back in place of the CSV file. The current file is backed up
+ * first, so a restore can itself be undone. The renderer syncs afterwards to
+ * bring the restored rows into the app.
+ *
+ * @param {string} name - A backup name from `backups:list`.
+ */
+ipcMain.handle("backups:restore", async (event, name) => {
+  const denied = requirePermission("export");
+  if (denied) return denied;
+
+  if (!lastUsedFilePath) {
+    return { success: false, error: "No CSV file has been opened yet." };
+  }
+
+  try {
+    saveCsvContent(readBackup(lastUsedFilePath, name, createCipher(dataKey)));
+    pendingSync = null;
+    return { success: true };
+  } catch (error) {
+    console.error("Error restoring backup:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Database Handlers ---
+// The renderer never touches SQLite directly; it asks for data through these.
+
+ipcMain.handle("visitors:list", async () => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+  try {
+    return { success: true, visitors: getDatabase().listVisitors() };
+  } catch (error) {
+    console.error("Error loading visitors:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Handles a single create/update coming from the add-visitor and edit-profile forms.
+// The database row is written first, then that one row goes on to the CSV.
+ipcMain.handle("visitors:save", async (event, visitor) => {
+  const denied = requirePermission("add");
+  if (denied) return denied;
+
+  if (!visitor || !visitor.id || !visitor.firstName || !visitor.lastName) {
+    return {
+      success: false,
+      error: "A visitor needs an id, a first name and a last name.",
+    };
+  }
+
+  try {
+    const db = getDatabase();
+    const isNew = !db.getVisitor(visitor.id);
+
+    // Changing an existing profile is an edit, which needs a supervisor.
+    if (!isNew && !hasPermission(currentUser, "edit")) {
+      return {
+        success: false,
+        error: "Your role does not allow editing profiles.",
+      };
+    }
+
+    const saved = isNew
+      ? db.createVisitor(visitor.id, visitor)
+      : db.updateVisitor(visitor.id, visitor);
+    // The form lists the visitor's other flats; their own flat is always linked.
+    if (Array.isArray(visitor.otherFlats)) {
+      db.setVisitorFlats(visitor.id, [
+        visitor.flatNumber,
+        ...visitor.otherFlats,
+      ]);
+    }
+
+    if (!lastUsedFilePath) {
+      return {
+        success: true,
+        created: isNew,
+        visitor: saved,
+        csvError: "No file has been selected for saving yet.",
+      };
+    }
+
+    try {
+      writeVisitorToCsv(saved);
+    } catch (error) {
+      console.error("Error writing visitor to CSV:", error);
+      return {
+        success: true,
+        created: isNew,
+        visitor: saved,
+        csvError: error.message,
+      };
+    }
+    return { success: true, created: isNew, visitor: saved };
+  } catch (error) {
+    console.error("Error saving visitor:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Bans a visitor; the operator recorded in ban_history is the signed-in user.
+// New terms for a standing ban could shorten it or make it lift by itself,
+// so changing them needs the same role as lifting it.
+ipcMain.handle(
+  "visitors:ban",
+  async (event, { visitorId, reason, category, until, onExpiry } = {}) => {
+    const denied = requirePermission("ban");
+    if (denied) return denied;
+    if (!reason || !reason.trim()) {
+      return { success: false, error: "Enter a reason for the ban." };
+    }
+    const termsError = validateBanTerms({ category, until, onExpiry });
+    if (termsError) return { success: false, error: termsError };
+    try {
+      const db = getDatabase();
+      const current = db.getVisitor(visitorId);
+      if (current && current.isBanned === 1 && requirePermission("unban")) {
+        return {
+          success: false,
+          error:
+            "This visitor is already banned. Only a supervisor can change the terms of a ban.",
+        };
+      }
+      const visitor = db.setBanStatus(visitorId, {
+        isBanned: true,
+        notes: reason,
+        reason,
+        category,
+        until,
+        onExpiry,
+        operator: currentUser.displayName,
+      });
+      return { success: true, visitor };
+    } catch (error) {
+      console.error("Error banning visitor:", error);
+      return { success: false, error: error.message };
+    }
+  },
+);
+
+// How far ahead the list of bans ending soon looks.
+const BAN_REVIEW_DAYS = 30;
+
+/**
+ * Lifts the bans past their end date that were set to lift automatically,
+ * and lists the bans ending within BAN_REVIEW_DAYS, including those past
+ * their end date and waiting for review. The renderer calls this at startup
+ * and then every few minutes.
+ */
+ipcMain.handle("bans:checkExpiry", async () => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+  try {
+    const db = getDatabase();
+    const today = toLocalDate();
+    const lifted = db
+      .listBansEndingBy(today)
+      .filter((ban) => ban.banOnExpiry === "lift");
+    lifted.forEach((ban) =>
+      db.setBanStatus(ban.id, {
+        isBanned: false,
+        notes: "",
+        reason: `Ban ended on ${ban.banUntil}.`,
+        operator: "Automatic expiry",
+      }),
+    );
+
+    const horizon = new Date();
+    horizon.setDate(horizon.getDate() + BAN_REVIEW_DAYS);
+    return {
+      success: true,
+      lifted: lifted.length,
+      today,
+      ending: db.listBansEndingBy(toLocalDate(horizon)),
+    };
+  } catch (error) {
+    console.error("Error checking ban expiry:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Unbanning needs a supervisor who re-enters their own password.
+ipcMain.handle(
+  "visitors:unban",
+  async (event, { visitorId, reason, password } = {}) => {
+    const denied = requirePermission("unban");
+    if (denied) return denied;
+    if (!reason || !reason.trim()) {
+      return { success: false, error: "Enter a reason for lifting the ban." };
+    }
+    if (!getStaffStore().authenticate(currentUser.username, password)) {
+      return { success: false, error: "Incorrect password." };
+    }
+    try {
+      // The current ban notes are cleared; the original reason stays in ban_history.
+      const visitor = getDatabase().setBanStatus(visitorId, {
+        isBanned: false,
+        notes: "",
+        reason,
+        operator: currentUser.displayName,
+      });
+      return { success: true, visitor };
+    } catch (error) {
+      console.error("Error unbanning visitor:", error);
+      return { success: false, error: error.message };
+    }
+  },
+);
+
+// --- Note Handlers ---
+
+ipcMain.handle("notes:list", async (event, visitorId) => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+  try {
+    return { success: true, notes: getDatabase().listNotes(visitorId) };
+  } catch (error) {
+    console.error("Error reading notes:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Anyone signed in can add a note; it is recorded under their name.
+ipcMain.handle(
+  "notes:add",
+  async (event, { visitorId, category, body } = {}) => {
+    const denied = requirePermission("search");
+    if (denied) return denied;
+
+    const note = { category, body: String(body || "").trim() };
+    const invalid = validateNote(note);
+    if (invalid) return { success: false, error: invalid };
+
+    try {
+      const saved = getDatabase().addNote(visitorId, {
+        ...note,
+        author: currentUser.displayName,
+        authorUsername: currentUser.username,
+      });
+      return { success: true, note: saved };
+    } catch (error) {
+      console.error("Error adding note:", error);
+      return { success: false, error: error.message };
+    }
+  },
+);
+
+// Only the note's author can change it; the database checks the username.
+ipcMain.handle(
+  "notes:update",
+  async (event, { noteId, category, body } = {}) => {
+    const denied = requirePermission("search");
+    if (denied) return denied;
+
+    const note = { category, body: String(body || "").trim() };
+    const invalid = validateNote(note);
+    if (invalid) return { success: false, error: invalid };
+
+    try {
+      const saved = getDatabase().updateNote(noteId, {
+        ...note,
+        authorUsername: currentUser.username,
+      });
+      return { success: true, note: saved };
+    } catch (error) {
+      console.error("Error updating note:", error);
+      return { success: false, error: error.message };
+    }
+  },
+);
+
+// --- Flat Directory Handlers ---
+
+ipcMain.handle("flats:list", async () => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+  try {
+    return { success: true, flats: getDatabase().listFlats() };
+  } catch (error) {
+    console.error("Error loading flats:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("flats:get", async (event, number) => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+  try {
+    const flat = getDatabase().getFlat(number);
+    if (!flat) return { success: false, error: "Flat not found." };
+    return { success: true, flat };
+  } catch (error) {
+    console.error("Error loading flat:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Adds a flat or changes its residents; flat details are edited by supervisors.
+ipcMain.handle(
+  "flats:save",
+  async (event, { number, residents, notes } = {}) => {
+    const denied = requirePermission("edit");
+    if (denied) return denied;
+    try {
+      return {
+        success: true,
+        flat: getDatabase().saveFlat(number, { residents, notes }),
+      };
+    } catch (error) {
+      console.error("Error saving flat:", error);
+      return { success: false, error: error.message };
+    }
+  },
+);
+
+ipcMain.handle("visitors:flats", async (event, visitorId) => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+  try {
+    return { success: true, flats: getDatabase().getVisitorFlats(visitorId) };
+  } catch (error) {
+    console.error("Error loading visitor flats:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Duplicate Handlers ---
+// Finding and merging profiles that are the same person under several ids.
+
+// Pairs a supervisor marked as different people, kept so they are not offered again.
+const getDismissedDuplicates = () =>
+  new Set(getSettings().get("notDuplicates", []));
+
+ipcMain.handle("duplicates:find", async () => {
+  const denied = requirePermission("edit");
+  if (denied) return denied;
+  try {
+    return {
+      success: true,
+      groups: findDuplicateGroups(
+        getDatabase().listVisitors(),
+        getDismissedDuplicates(),
+      ),
+    };
+  } catch (error) {
+    console.error("Error finding duplicates:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("duplicates:dismiss", async (event, idA, idB) => {
+  const denied = requirePermission("edit");
+  if (denied) return denied;
+  try {
+    const dismissed = getDismissedDuplicates();
+    dismissed.add(pairKey(idA, idB));
+    getSettings().set("notDuplicates", [...dismissed]);
+    return { success: true };
+  } catch (error) {
+    console.error("Error dismissing duplicate:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Merges one profile into another, then takes the merged row out of the open
+ * CSV and writes the kept one. Other CSV files drop the merged row the next
+ * time they are synced. A photo neither profile uses any more is deleted.
+ *
+ * @param {Object} request - `keptId`, `mergedId` and the chosen profile `fields`.
+ */
+ipcMain.handle(
+  "visitors:merge",
+  async (event, { keptId, mergedId, fields } = {}) => {
+    const denied = requirePermission("edit");
+    if (denied) return denied;
+    if (!fields || !fields.firstName || !fields.lastName) {
+      return {
+        success: false,
+        error: "The merged profile needs a first name and a last name.",
+      };
+    }
+
+    try {
+      const db = getDatabase();
+      const before = db.getVisitor(keptId);
+      const { visitor, merged } = db.mergeVisitors(keptId, mergedId, {
+        fields,
+        operator: currentUser.displayName,
+      });
+
+      if (!lastUsedFilePath) {
+        return {
+          success: true,
+          visitor,
+          csvError: "No CSV file is open, so the CSV was not updated.",
+        };
+      }
+      try {
+        writeVisitorToCsv(visitor, [mergedId]);
+        deleteUnusedPhotos([before.scannedIdPicUrl, merged.scannedIdPicUrl]);
+      } catch (error) {
+        console.error("Error writing merged visitor to CSV:", error);
+        return { success: true, visitor, csvError: error.message };
+      }
+      return { success: true, visitor };
+    } catch (error) {
+      console.error("Error merging visitors:", error);
+      return { success: false, error: error.message };
+    }
+  },
+);
+
+// --- Data Protection Handlers ---
+// Erasure, retention and subject-access requests. Each is recorded in the
+// data protection log, which keeps visitor ids but no personal details.
+
+const RETENTION_OPERATOR = "Retention policy";
+
+/**
+ * Deletes photos no visitor points at any more from the open CSV's photos
+ * folder, the one they were resolved against. A photo shared with a remaining
+ * visitor is kept. Other CSV files' folders are never touched: the same file
+ * name there can belong to another dataset.
+ *
+ * @param {string[]} fileNames - The photos the removed or changed rows held.
+ */
+const deleteUnusedPhotos = (fileNames) => {
+  const photosDir = path.join(path.dirname(lastUsedFilePath), "photos");
+  const photosInUse = new Set(
+    getDatabase()
+      .listVisitors()
+      .map((visitor) => visitor.scannedIdPicUrl),
+  );
+  fileNames.forEach((fileName) => {
+    if (fileName && !photosInUse.has(fileName)) {
+      deletePhoto(photosDir, fileName);
+    }
+  });
+};
+
+/**
+ * Erases visitors with their history and photos, and removes their rows from
+ * the open CSV. Rows in other CSV files are removed the next time they are synced.
+ *
+ * @param {Object[]} entries - `id` and `detail` (the reason to log) per visitor.
+ * @param {string} action - "erase" or "purge".
+ * @param {string} operator - Who to record in the log.
+ * @returns {Object} The `count` erased and, when the CSV or photos could not
+ *   be updated, a `csvError`.
+ * @throws {Error} When no CSV is open, as the photos could not be found.
+ */
+const eraseVisitors = (entries, action, operator) => {
+  if (entries.length === 0) return { count: 0 };
+  // Photos are only known through the open CSV, so nothing is erased without one.
+  if (!lastUsedFilePath) {
+    throw new Error(
+      "Open the CSV file first, so ID photos and CSV rows are erased as well.",
+    );
+  }
+
+  const db = getDatabase();
+  const erased = entries.map(({ id, detail }) =>
+    db.eraseVisitor(id, { action, detail, operator }),
+  );
+  const result = { count: erased.length };
+
+  const errors = [];
+  try {
+    deleteUnusedPhotos(erased.map((visitor) => visitor.scannedIdPicUrl));
+  } catch (error) {
+    console.error("Error deleting erased visitors' photos:", error);
+    errors.push(`The ID photos could not all be deleted: ${error.message}`);
+  }
+
+  try {
+    const erasedIds = new Set(erased.map((visitor) => visitor.id));
+    const { rows, format } = readVisitorFile(
+      fs.readFileSync(lastUsedFilePath, "utf-8"),
+    );
+    const remaining = rows.filter((row) => !erasedIds.has(row.id));
+    if (remaining.length !== rows.length) writeCsvRows(remaining, format);
+  } catch (error) {
+    console.error("Error removing erased visitors from the CSV:", error);
+    errors.push(error.message);
+  }
+
+  if (errors.length > 0) result.csvError = errors.join(" ");
+  return result;
+};
+
+// The start of the retention period, or null when no policy is set.
+const retentionCutoff = (months) => {
+  if (!months) return null;
+  const cutoff = new Date();
+  cutoff.setMonth(cutoff.getMonth() - months);
+  return cutoff.toISOString();
+};
+
+/**
+ * Purges the cleared visitors not seen within the retention period.
+ * Banned visitors are kept for as long as their ban stands.
+ *
+ * @param {string} operator - Who to record in the log.
+ * @returns {Object} See `eraseVisitors`.
+ */
+const applyRetentionPolicy = (operator) => {
+  const months = getSettings().get("retentionMonths", null);
+  const cutoff = retentionCutoff(months);
+  if (!cutoff) return { count: 0 };
+
+  const candidates = getDatabase().listRetentionCandidates(cutoff);
+  return eraseVisitors(
+    candidates.map((visitor) => ({
+      id: visitor.id,
+      detail: `Not seen since ${visitor.lastSeen.slice(0, 10)}; cleared visitors are kept for ${months} months.`,
+    })),
+    "purge",
+    operator,
+  );
+};
+
+// Erasing a visitor needs a supervisor who re-enters their own password.
+ipcMain.handle(
+  "visitors:erase",
+  async (event, { visitorId, reason, password } = {}) => {
+    const denied = requirePermission("erase");
+    if (denied) return denied;
+    if (!reason || !reason.trim()) {
+      return { success: false, error: "Enter a reason for the erasure." };
+    }
+    if (!getStaffStore().authenticate(currentUser.username, password)) {
+      return { success: false, error: "Incorrect password." };
+    }
+    try {
+      const result = eraseVisitors(
+        [{ id: visitorId, detail: reason }],
+        "erase",
+        currentUser.displayName,
+      );
+      return { success: true, ...result };
+    } catch (error) {
+      console.error("Error erasing visitor:", error);
+      return { success: false, error: error.message };
+    }
+  },
+);
+
+// The retention period, with who would be purged under it today.
+ipcMain.handle("retention:get", async () => {
+  const denied = requirePermission("erase");
+  if (denied) return denied;
+  try {
+    const months = getSettings().get("retentionMonths", null);
+    const cutoff = retentionCutoff(months);
+    return {
+      success: true,
+      months,
+      due: cutoff ? getDatabase().listRetentionCandidates(cutoff) : [],
+      log: getDatabase().getDataProtectionLog().slice(0, 100),
+    };
+  } catch (error) {
+    console.error("Error loading the retention policy:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Sets how many months cleared visitors are kept after they were last seen.
+ *
+ * @param {number|null} months - Whole months from 1 to 120, or null to keep them forever.
+ */
+ipcMain.handle("retention:set", async (event, months) => {
+  const denied = requirePermission("erase");
+  if (denied) return denied;
+  if (
+    months !== null &&
+    !(Number.isInteger(months) && months >= 1 && months <= 120)
+  ) {
+    return {
+      success: false,
+      error: "Enter a whole number of months from 1 to 120, or leave it empty.",
+    };
+  }
+  try {
+    getSettings().set("retentionMonths", months);
+    getDatabase().logDataProtection({
+      action: "policy",
+      detail: months
+        ? `Cleared visitors are kept for ${months} months after they were last seen.`
+        : "Cleared visitors are kept indefinitely.",
+      operator: currentUser.displayName,
+    });
+    return { success: true };
+  } catch (error) {
+    console.error("Error saving the retention policy:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Purges now rather than waiting for the next time a CSV is opened.
+ipcMain.handle("retention:apply", async () => {
+  const denied = requirePermission("erase");
+  if (denied) return denied;
+  try {
+    return {
+      success: true,
+      ...applyRetentionPolicy(currentUser.displayName),
+    };
+  } catch (error) {
+    console.error("Error applying the retention policy:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Saves everything held about one visitor, including their ID photo, as a
+ * single JSON file for a subject-access request.
+ */
+ipcMain.handle("visitors:exportSubjectData", async (event, visitorId) => {
+  const denied = requirePermission("export");
+  if (denied) return denied;
+
+  try {
+    const db = getDatabase();
+    const data = db.getSubjectData(visitorId);
+    if (!data) return { success: false, error: "Visitor not found." };
+
+    const fileName = data.visitor.scannedIdPicUrl;
+    const image = lastUsedFilePath
+      ? readPhoto(path.join(path.dirname(lastUsedFilePath), "photos"), fileName)
+      : null;
+    const photo = image ? { fileName, base64: image.toString("base64") } : null;
+
+    if (!(await confirmUnencryptedExport(event))) {
+      return { success: false, canceled: true };
+    }
+    const { firstName, lastName } = data.visitor;
+    const today = new Date().toISOString().slice(0, 10);
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: "Subject Access Export",
+      defaultPath: `${`${firstName}-${lastName}`.replace(/[^a-zA-Z0-9-]/g, "")}-${today}.json`,
+      filters: [{ name: "JSON Files", extensions: ["json"] }],
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    writeFileAtomic(
+      filePath,
+      JSON.stringify(
+        {
+          exportedAt: new Date().toISOString(),
+          exportedBy: currentUser.displayName,
+          ...data,
+          photo,
+        },
+        null,
+        2,
+      ),
+    );
+    db.logDataProtection({
+      action: "access",
+      visitorId,
+      detail: "Subject-access export",
+      operator: currentUser.displayName,
+    });
+    return { success: true, filePath };
+  } catch (error) {
+    console.error("Error exporting subject data:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("history:get", async (event, visitorId) => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+  try {
+    return { success: true, entries: getDatabase().getBanHistory(visitorId) };
+  } catch (error) {
+    console.error("Error loading ban history:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("visits:onSite", async () => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+  try {
+    return { success: true, visits: getDatabase().listOnSite() };
+  } catch (error) {
+    console.error("Error loading on-site register:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Returns a visitor's recent visits plus the one still open, if any.
+ipcMain.handle("visits:forVisitor", async (event, visitorId) => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+  try {
+    const db = getDatabase();
+    return {
+      success: true,
+      visits: db.getVisitHistory(visitorId),
+      openVisit: db.getOpenVisit(visitorId),
+    };
+  } catch (error) {
+    console.error("Error loading visits:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle(
+  "visits:checkIn",
+  async (event, { visitorId, flatVisited } = {}) => {
+    const denied = requirePermission("search");
+    if (denied) return denied;
+    if (!flatVisited || !flatVisited.trim()) {
+      return { success: false, error: "Enter the flat being visited." };
+    }
+    try {
+      getDatabase().checkIn(visitorId, flatVisited, currentUser.displayName);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+);
+
+ipcMain.handle("visits:checkOut", async (event, visitId) => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+  try {
+    getDatabase().checkOut(visitId, currentUser.displayName);
+    return { success: true };
+  } catch (error) {
+    console.error("Check-out failed:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Opens the database file at startup so the renderer can show a retry screen on failure.
+ipcMain.handle("db:open", async () => {
+  try {
+    getDatabase();
+    return { success: true };
+  } catch (error) {
+    console.error("Could not open the visitor database:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// One-time copy of the old sql.js database the renderer kept in localStorage.
+ipcMain.handle("db:migrateLegacy", async (event, image) => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+  try {
+    const counts = getDatabase().migrateLegacyImage(Buffer.from(image));
+    return { success: true, counts };
+  } catch (error) {
+    console.error("Legacy database migration failed:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Asks before writing visitor data to a file the app does not encrypt.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - The request, to attach the dialog to its window.
+ * @returns {Promise<boolean>} Whether the user chose to go ahead.
+ */
+const confirmUnencryptedExport = async (event) => {
+  const { response } = await dialog.showMessageBox(
+    BrowserWindow.fromWebContents(event.sender),
+    {
+      type: "warning",
+      title: "Unencrypted Export",
+      message: "The exported file will not be encrypted.",
+      detail:
+        "Anyone who can open it can read the personal details in it. Only export when a plaintext copy is really needed, and delete it once it has been used.",
+      buttons: ["Cancel", "Export Unencrypted"],
+      defaultId: 0,
+      cancelId: 0,
+    },
+  );
+  return response === 1;
+};
+
+// Lets the user pick where to save the ban/unban audit log and writes it as CSV.
+ipcMain.handle("dialog:exportAuditLog", async (event) => {
+  const denied = requirePermission("export");
+  if (denied) return denied;
+
+  try {
+    const entries = getDatabase().getAuditLog();
+    if (entries.length === 0) {
+      return { success: false, error: "The audit log is empty." };
+    }
+    if (!(await confirmUnencryptedExport(event))) {
+      return { success: false, canceled: true };
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: "Export Ban Audit Log",
+      defaultPath: `ban-audit-log-${today}.csv`,
+      filters: [{ name: "CSV Files", extensions: ["csv"] }],
+    });
+
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    writeFileAtomic(filePath, stringifyCsv(entries));
+    return { success: true, filePath, count: entries.length };
+  } catch (error) {
+    console.error("Error exporting audit log:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Saves a filtered list of visitors to a new file of the user's choosing.
+ * The open CSV is left alone.
+ *
+ * @param {Object} options - See `validateExportOptions` in export.js.
+ */
+ipcMain.handle("dialog:exportVisitors", async (event, options) => {
+  const denied = requirePermission("export");
+  if (denied) return denied;
+
+  try {
+    const cleaned = validateExportOptions(options);
+    const db = getDatabase();
+    const visitedIds =
+      cleaned.visitedFrom || cleaned.visitedTo
+        ? db.listVisitedBetween(cleaned.visitedFrom, cleaned.visitedTo)
+        : null;
+    const records = selectForExport(
+      db.listVisitors(),
+      cleaned,
+      visitedIds,
+      db.listNotes,
+    );
+    if (records.length === 0) {
+      return { success: false, error: "No visitors match these filters." };
+    }
+    if (!(await confirmUnencryptedExport(event))) {
+      return { success: false, canceled: true };
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: "Export Visitors",
+      defaultPath: `visitors-${today}.${cleaned.format}`,
+      filters:
+        cleaned.format === "json"
+          ? [{ name: "JSON Files", extensions: ["json"] }]
+          : [{ name: "CSV Files", extensions: ["csv"] }],
+    });
+
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    writeFileAtomic(
+      filePath,
+      cleaned.format === "json"
+        ? JSON.stringify(records, null, 2)
+        : stringifyCsv(records),
+    );
+    return { success: true, filePath, count: records.length };
+  } catch (error) {
+    console.error("Error exporting visitors:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Dashboard Handlers ---
+
+/**
+ * Asks where to save a PDF, then prints the page to it.
+ *
+ * @returns {Object} The IPC result, `canceled` when no file was chosen.
+ */
+const savePdf = async (html, { title, defaultPath, pdfOptions }) => {
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    title,
+    defaultPath,
+    filters: [{ name: "PDF Files", extensions: ["pdf"] }],
+  });
+  if (canceled || !filePath) {
+    return { success: false, canceled: true };
+  }
+  writeFileAtomic(filePath, await renderPdf(html, pdfOptions));
+  return { success: true, filePath };
+};
+
+// How many months, including the current one, the dashboard and report cover.
+const DASHBOARD_MONTHS = 12;
+
+// The dashboard figures, with a row for every month of the period.
+const collectDashboard = () => {
+  const start = new Date();
+  start.setUTCDate(1);
+  start.setUTCMonth(start.getUTCMonth() - (DASHBOARD_MONTHS - 1));
+  const since = `${start.toISOString().slice(0, 7)}-01T00:00:00.000Z`;
+
+  const stats = getDatabase().getStatistics(since);
+  return {
+    ...stats,
+    bansByMonth: fillMonths(stats.bansByMonth, since),
+    visitsByMonth: fillMonths(stats.visitsByMonth, since),
+    since,
+    generatedAt: new Date().toISOString(),
+  };
+};
+
+ipcMain.handle("dashboard:get", async () => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+  try {
+    return { success: true, stats: collectDashboard() };
+  } catch (error) {
+    console.error("Error loading dashboard:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Saves the dashboard as a PDF report for management meetings.
+ipcMain.handle("dashboard:exportPdf", async (event) => {
+  const denied = requirePermission("export");
+  if (denied) return denied;
+
+  try {
+    if (!(await confirmUnencryptedExport(event))) {
+      return { success: false, canceled: true };
+    }
+    const stats = collectDashboard();
+    return await savePdf(buildDashboardReport(stats), {
+      title: "Save Visitor Report",
+      defaultPath: `visitor-report-${stats.generatedAt.slice(0, 10)}.pdf`,
+    });
+  } catch (error) {
+    console.error("Error saving report:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Print Handlers ---
+// Badges and the "do not admit" sheet, for door staff who do not use the app.
+
+// The photos folder, or null when no CSV is open and there are no photos to print.
+const getPhotosDir = () =>
+  lastUsedFilePath ? path.join(path.dirname(lastUsedFilePath), "photos") : null;
+
+const readPhotoForPrint = (fileName) => {
+  const photosDir = getPhotosDir();
+  return photosDir && fileName ? photoDataUrl(photosDir, fileName) : null;
+};
+
+// A badge for a visitor who is checked in now.
+ipcMain.handle("print:badge", async (event, visitorId) => {
+  const denied = requirePermission("search");
+  if (denied) return denied;
+
+  try {
+    const db = getDatabase();
+    const visitor = db.getVisitor(visitorId);
+    const visit = visitor && db.getOpenVisit(visitorId);
+    if (!visit) {
+      return {
+        success: false,
+        error: "Badges are only printed for visitors who are checked in.",
+      };
+    }
+    return await savePdf(
+      buildBadge(visitor, visit, readPhotoForPrint(visitor.scannedIdPicUrl)),
+      {
+        title: "Save Visitor Badge",
+        defaultPath: `badge-${`${visitor.firstName}-${visitor.lastName}`.replace(/[^a-zA-Z0-9-]/g, "")}.pdf`,
+        pdfOptions: {
+          pageSize: BADGE_PAGE_SIZE,
+          margins: { marginType: "none" },
+        },
+      },
+    );
+  } catch (error) {
+    console.error("Error printing badge:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Every banned visitor with their photo and ban reason, sorted by surname.
+ipcMain.handle("print:watchSheet", async (event) => {
+  const denied = requirePermission("ban");
+  if (denied) return denied;
+
+  try {
+    const banned = getDatabase()
+      .listVisitors()
+      .filter((visitor) => visitor.isBanned === 1)
+      .sort(
+        (a, b) =>
+          a.lastName.localeCompare(b.lastName) ||
+          a.firstName.localeCompare(b.firstName),
+      );
+    if (banned.length === 0) {
+      return { success: false, error: "Nobody is banned." };
+    }
+    if (!(await confirmUnencryptedExport(event))) {
+      return { success: false, canceled: true };
+    }
+
+    const generatedAt = new Date().toISOString();
+    return await savePdf(
+      buildWatchSheet(
+        banned.map((visitor) => ({
+          visitor,
+          photo: readPhotoForPrint(visitor.scannedIdPicUrl),
+        })),
+        generatedAt,
+      ),
+      {
+        title: "Save Do Not Admit Sheet",
+        defaultPath: `do-not-admit-${generatedAt.slice(0, 10)}.pdf`,
+      },
+    );
+  } catch (error) {
+    console.error("Error printing watch sheet:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- API Server Handlers ---
+// The optional HTTP API for other building systems (see api.js). It answers
+// only while someone is signed in, because the data is locked otherwise.
+
+let apiServer = null;
+// Why the server last failed to start, shown in the API settings.
+let apiServerError = null;
+
+const getApiSettings = () => ({
+  enabled: false,
+  host: "local",
+  port: DEFAULT_API_PORT,
+  tokenHash: null,
+  ...getSettings().get("apiServer", {}),
+});
+
+const stopApiServer = () =>
+  new Promise((resolve) => {
+    if (!apiServer) {
+      resolve();
+      return;
+    }
+    apiServer.close(() => resolve());
+    apiServer.closeAllConnections();
+    apiServer = null;
+  });
+
+// Starts, stops or moves the server to match the saved settings.
+const restartApiServer = async () => {
+  await stopApiServer();
+  apiServerError = null;
+  const { enabled, host, port } = getApiSettings();
+  if (!enabled) return;
+  try {
+    apiServer = await startApiServer({
+      host,
+      port,
+      getTokenHash: () => getApiSettings().tokenHash,
+      getDatabase: () => (dataKey ? getDatabase() : null),
+      onChange: (visitor) => notifyRenderer("api:changed", visitor),
+    });
+  } catch (error) {
+    console.error("Could not start the API server:", error);
+    apiServerError =
+      error.code === "EADDRINUSE"
+        ? `Port ${port} is already in use by another program.`
+        : error.message;
+  }
+};
+
+// The settings as the renderer sees them: whether a token exists, never its hash.
+const describeApiServer = () => {
+  const { enabled, host, port, tokenHash } = getApiSettings();
+  return {
+    success: true,
+    enabled,
+    host,
+    port,
+    hasToken: Boolean(tokenHash),
+    running: Boolean(apiServer),
+    error: apiServerError,
+  };
+};
+
+ipcMain.handle("api:get", async () => {
+  const denied = requirePermission("manageStaff");
+  if (denied) return denied;
+  return describeApiServer();
+});
+
+/**
+ * Saves the API settings and restarts the server with them.
+ *
+ * @param {Object} settings - `enabled`, `host` ("local" or "lan") and `port`.
+ */
+ipcMain.handle("api:save", async (event, { enabled, host, port } = {}) => {
+  const denied = requirePermission("manageStaff");
+  if (denied) return denied;
+  const invalid = validateApiSettings({ enabled, host, port });
+  if (invalid) return { success: false, error: invalid };
+  try {
+    getSettings().set("apiServer", {
+      ...getApiSettings(),
+      enabled,
+      host,
+      port,
+    });
+    await restartApiServer();
+    return describeApiServer();
+  } catch (error) {
+    console.error("Error saving the API settings:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Replaces the API token. The new one is shown once; only its hash is saved.
+ipcMain.handle("api:newToken", async () => {
+  const denied = requirePermission("manageStaff");
+  if (denied) return denied;
+  try {
+    const token = createApiToken();
+    getSettings().set("apiServer", {
+      ...getApiSettings(),
+      tokenHash: hashApiToken(token),
+    });
+    return { success: true, token };
+  } catch (error) {
+    console.error("Error creating an API token:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Application Lifecycle ---
+// This event is fired when the Electron app is ready to create browser windows.
+app.whenReady().then(() => {
+  // 2. Photos are served only from the open CSV's photos folder
+  protocol.handle("vlog-img", (request) =>
+    servePhoto(
+      lastUsedFilePath
+        ? path.join(path.dirname(lastUsedFilePath), "photos")
+        : null,
+      request.url,
+    ),
+  );
+
+  createWindow();
+  restartApiServer();
+
+  app.on("activate", () => {
+    if (BrowserWindow.getAllWindows().length === 0) createWindow();
+  });
+});
+
+app.on("window-all-closed", () => {
+  if (process.platform !== "darwin") app.quit();
+});
+
+// Stops the file watchers and the API server, flushes the WAL and releases the database file on exit.
+app.on("will-quit", () => {
+  fileWatcher.stop();
+  stopApiServer();
+  if (visitorDb) visitorDb.close();
 });
@@ -0,0 +1,214 @@
+/**
+ * ID photo storage - Main process only.
+ * Photos taken with the camera or attached from a file are copied into the
+ * photos folder next to the CSV under a generated name, with a small JPEG
+ * thumbnail in photos/thumbs for lists. The page loads them through the
+ * vlog-img protocol, which only ever reads images inside that folder.
+ */
+
+const path = require("node:path");
+const fs = require("fs");
+const { nativeImage } = require("electron");
+const { writeFileAtomic } = require("./file-store");
+
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+const THUMBNAIL_WIDTH = 160;
+
+// Recognised by their first bytes rather than trusting a file extension.
+const PHOTO_TYPES = [
+  { extension: "jpg", signature: [0xff, 0xd8, 0xff] },
+  { extension: "png", signature: [0x89, 0x50, 0x4e, 0x47] },
+];
+
+/**
+ * @param {Buffer} buffer - The image file's content.
+ * @returns {string|null} "jpg" or "png", or null for anything else.
+ */
+const detectPhotoType = (buffer) => {
+  const type = PHOTO_TYPES.find(({ signature }) =>
+    signature.every((byte, index) => buffer[index] === byte),
+  );
+  return type ? type.extension : null;
+};
+
+// What the vlog-img protocol serves; any other file in the photos folder is refused.
+const PHOTO_MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".bmp": "image/bmp",
+};
+
+// "photo.png" -> "thumbs/photo.jpg"; thumbnails are always JPEG.
+const thumbnailName = (fileName) =>
+  `thumbs/${path.basename(fileName, path.extname(fileName))}.jpg`;
+
+/**
+ * Saves a visitor's photo and its thumbnail.
+ *
+ * @param {string} photosDir - The photos folder next to the open CSV.
+ * @param {string} visitorId - Used in the generated file name.
+ * @param {Buffer} buffer - The image data.
+ * @returns {string} The new file name, to store in `scannedIdPicUrl`.
+ * @throws {Error} When the data is not a JPEG or PNG image or is too large.
+ */
+const savePhoto = (photosDir, visitorId, buffer) => {
+  if (buffer.length > MAX_PHOTO_BYTES) {
+    throw new Error("Photos must be smaller than 10 MB.");
+  }
+  const extension = detectPhotoType(buffer);
+  const image = extension ? nativeImage.createFromBuffer(buffer) : null;
+  if (!image || image.isEmpty()) {
+    throw new Error("Only JPEG and PNG images can be used as ID photos.");
+  }
+
+  // Only safe characters from the id, and a timestamp so a new photo never overwrites an old one.
+  const safeId = String(visitorId)
+    .replace(/[^a-zA-Z0-9-]/g, "")
+    .slice(0, 36);
+  const fileName = `${safeId}-${Date.now()}.${extension}`;
+
+  fs.mkdirSync(path.join(photosDir, "thumbs"), { recursive: true });
+  writeFileAtomic(path.join(photosDir, fileName), buffer);
+  writeFileAtomic(
+    path.join(photosDir, thumbnailName(fileName)),
+    image.resize({ width: THUMBNAIL_WIDTH, quality: "good" }).toJPEG(80),
+  );
+  return fileName;
+};
+
+// True when `target` is somewhere below it.
+const isInside = (folder, target) => {
+  const relative = path.relative(folder, target);
+  return (
+    relative !== "" && !relative.startsWith("..") && !path.isAbsolute(relative)
+  );
+};
+
+/**
+ * Finds a visitor's photo in the photos folder. As in `servePhoto`, a name
+ * that leads outside the folder, including through a symbolic link, is refused.
+ *
+ * @param {string} photosDir - The photos folder next to the CSV.
+ * @param {string} fileName - The visitor's `scannedIdPicUrl`.
+ * @returns {string|null} The photo's path, or null when it is missing or outside the folder.
+ */
+const resolvePhotoPath = (photosDir, fileName) => {
+  if (!fileName) return null;
+  const root = path.resolve(photosDir);
+  const filePath = path.resolve(root, fileName);
+  if (!isInside(root, filePath) || !fs.existsSync(filePath)) return null;
+  return isInside(fs.realpathSync(root), fs.realpathSync(filePath))
+    ? filePath
+    : null;
+};
+
+/**
+ * Deletes a photo and its thumbnail, for a visitor who was erased. Names
+ * that lead outside the photos folder are ignored.
+ *
+ * @param {string} photosDir - The photos folder next to the CSV.
+ * @param {string} fileName - The visitor's `scannedIdPicUrl`.
+ * @returns {boolean} Whether a photo was deleted.
+ */
+const deletePhoto = (photosDir, fileName) => {
+  const filePath = resolvePhotoPath(photosDir, fileName);
+  if (!filePath) return false;
+  const root = path.resolve(photosDir);
+  fs.rmSync(filePath, { force: true });
+  fs.rmSync(path.join(root, thumbnailName(path.relative(root, filePath))), {
+    force: true,
+  });
+  return true;
+};
+
+/**
+ * Reads a visitor's photo, for a subject-access export.
+ *
+ * @param {string} photosDir - The photos folder next to the open CSV.
+ * @param {string} fileName - The visitor's `scannedIdPicUrl`.
+ * @returns {Buffer|null} The image, or null when it is missing or outside the folder.
+ */
+const readPhoto = (photosDir, fileName) => {
+  const filePath = resolvePhotoPath(photosDir, fileName);
+  return filePath ? fs.readFileSync(filePath) : null;
+};
+
+/**
+ * Reads a visitor's photo as a data: URL, for printed reports that must not
+ * depend on the vlog-img protocol.
+ *
+ * @param {string} photosDir - The photos folder next to the open CSV.
+ * @param {string} fileName - The visitor's `scannedIdPicUrl`.
+ * @returns {string|null} The URL, or null when there is no usable photo.
+ */
+const photoDataUrl = (photosDir, fileName) => {
+  const mimeType = PHOTO_MIME_TYPES[path.extname(fileName || "").toLowerCase()];
+  const data = mimeType ? readPhoto(photosDir, fileName) : null;
+  return data ? `data:${mimeType};base64,${data.toString("base64")}` : null;
+};
+
+const textResponse = (status, message) =>
+  new Response(message, {
+    status,
+    headers: { "Content-Type": "text/plain; charset=utf-8" },
+  });
+
+/**
+ * Answers a vlog-img request such as `vlog-img://photos/jane.jpg` or
+ * `vlog-img://photos/thumbs/jane.jpg`. The path is taken relative to the open
+ * CSV's photos folder; anything that leads out of it, including through a
+ * symbolic link, or is not an image gets a 403, and a missing photo a 404.
+ *
+ * @param {string|null} photosDir - The photos folder, or null when no CSV is open.
+ * @param {string} requestUrl - The full request URL.
+ * @returns {Promise<Response>}
+ */
+const servePhoto = async (photosDir, requestUrl) => {
+  if (!photosDir) return textResponse(404, "No CSV file is open.");
+
+  let relativePath;
+  try {
+    const url = new URL(requestUrl);
+    if (url.host !== "photos") return textResponse(403, "Forbidden.");
+    // The "?v=" the renderer adds to reload a replaced photo is ignored here.
+    relativePath = decodeURIComponent(url.pathname);
+  } catch {
+    return textResponse(400, "Bad photo address.");
+  }
+
+  const root = path.resolve(photosDir);
+  const filePath = path.resolve(root, `.${path.sep}${relativePath}`);
+  const mimeType = PHOTO_MIME_TYPES[path.extname(filePath).toLowerCase()];
+  if (!isInside(root, filePath) || !mimeType) {
+    return textResponse(403, "Forbidden.");
+  }
+
+  try {
+    const realRoot = await fs.promises.realpath(root);
+    const realPath = await fs.promises.realpath(filePath);
+    if (!isInside(realRoot, realPath)) return textResponse(403, "Forbidden.");
+    const data = await fs.promises.readFile(realPath);
+    return new Response(data, {
+      status: 200,
+      headers: { "Content-Type": mimeType, "Cache-Control": "no-store" },
+    });
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") {
+      return textResponse(404, "Photo not found.");
+    }
+    if (error.code === "EISDIR") return textResponse(403, "Forbidden.");
+    console.error("Could not read photo:", error);
+    return textResponse(500, "The photo could not be read.");
+  }
+};
+
+module.exports = {
+  savePhoto,
+  deletePhoto,
+  readPhoto,
+  photoDataUrl,
+  servePhoto,
+};
@@ -3,13 +3,99 @@ const { contextBridge, ipcRenderer } = require("electron");
 // Exposes a secure API to the renderer process.
 
 contextBridge.exposeInMainWorld("electronAPI", {
+  // Staff sign-in. Passwords are checked in the main process only.
+  getAuthStatus: () => ipcRenderer.invoke("auth:status"),
+  setupFirstAccount: (details) => ipcRenderer.invoke("auth:setup", details),
+  login: (credentials) => ipcRenderer.invoke("auth:login", credentials),
+  logout: () => ipcRenderer.invoke("auth:logout"),
+  listStaff: () => ipcRenderer.invoke("staff:list"),
+  createStaff: (details) => ipcRenderer.invoke("staff:create", details),
+  setStaffPassword: (username, password) =>
+    ipcRenderer.invoke("staff:setPassword", { username, password }),
+
+  // Visitor database queries. SQLite itself lives in the main process.
+  listVisitors: () => ipcRenderer.invoke("visitors:list"),
+  banVisitor: (details) => ipcRenderer.invoke("visitors:ban", details),
+  unbanVisitor: (details) => ipcRenderer.invoke("visitors:unban", details),
+  checkBanExpiry: () => ipcRenderer.invoke("bans:checkExpiry"),
+  // Dated notes on a profile; only their author can edit them.
+  listNotes: (visitorId) => ipcRenderer.invoke("notes:list", visitorId),
+  addNote: (details) => ipcRenderer.invoke("notes:add", details),
+  updateNote: (details) => ipcRenderer.invoke("notes:update", details),
+  // The flat directory, and the flats each visitor is linked to.
+  listFlats: () => ipcRenderer.invoke("flats:list"),
+  getFlat: (number) => ipcRenderer.invoke("flats:get", number),
+  saveFlat: (details) => ipcRenderer.invoke("flats:save", details),
+  getVisitorFlats: (visitorId) =>
+    ipcRenderer.invoke("visitors:flats", visitorId),
+  // Duplicate profiles: finding likely matches and merging them.
+  findDuplicates: () => ipcRenderer.invoke("duplicates:find"),
+  dismissDuplicate: (idA, idB) =>
+    ipcRenderer.invoke("duplicates:dismiss", idA, idB),
+  mergeVisitors: (details) => ipcRenderer.invoke("visitors:merge", details),
+  // Dashboard figures and the PDF report made from them.
+  getDashboard: () => ipcRenderer.invoke("dashboard:get"),
+  exportDashboardPdf: () => ipcRenderer.invoke("dashboard:exportPdf"),
+  // Printable PDFs for door staff: a visitor badge and the "do not admit" sheet.
+  printBadge: (visitorId) => ipcRenderer.invoke("print:badge", visitorId),
+  printWatchSheet: () => ipcRenderer.invoke("print:watchSheet"),
+  // Settings for the local HTTP API other building systems use.
+  getApiSettings: () => ipcRenderer.invoke("api:get"),
+  saveApiSettings: (settings) => ipcRenderer.invoke("api:save", settings),
+  createApiToken: () => ipcRenderer.invoke("api:newToken"),
+  // Pushed by main when a ban or check-in arrives through the API.
+  onApiChange: (callback) =>
+    ipcRenderer.on("api:changed", (event, visitor) => callback(visitor)),
+  // Data protection: erasure, the retention policy and subject-access exports.
+  eraseVisitor: (details) => ipcRenderer.invoke("visitors:erase", details),
+  exportSubjectData: (visitorId) =>
+    ipcRenderer.invoke("visitors:exportSubjectData", visitorId),
+  getRetention: () => ipcRenderer.invoke("retention:get"),
+  setRetention: (months) => ipcRenderer.invoke("retention:set", months),
+  applyRetention: () => ipcRenderer.invoke("retention:apply"),
+  getBanHistory: (visitorId) => ipcRenderer.invoke("history:get", visitorId),
+  getOnSite: () => ipcRenderer.invoke("visits:onSite"),
+  getVisits: (visitorId) => ipcRenderer.invoke("visits:forVisitor", visitorId),
+  checkIn: (details) => ipcRenderer.invoke("visits:checkIn", details),
+  checkOut: (visitId) => ipcRenderer.invoke("visits:checkOut", visitId),
+  openDatabase: () => ipcRenderer.invoke("db:open"),
+  migrateLegacyDb: (image) => ipcRenderer.invoke("db:migrateLegacy", image),
+
   // `ipcRenderer.invoke` is a secure, two-way communication method.
-  readCsvFile: () => ipcRenderer.invoke("dialog:readCsvFile"),
+  // The CSV the app syncs with: pick one, reopen a recent one or the last one used.
+  chooseCsvFile: () => ipcRenderer.invoke("files:choose"),
+  openRecentFile: (filePath) =>
+    ipcRenderer.invoke("files:openRecent", filePath),
+  reopenLastFile: () => ipcRenderer.invoke("files:reopenLast"),
+  listRecentFiles: () => ipcRenderer.invoke("files:recent"),
+  // Pushed by main when the CSV or the photos folder changes outside the app.
+  onFilesChanged: (callback) =>
+    ipcRenderer.on("files:changed", (event, change) => callback(change)),
 
-  // Exposes a function to the web page that sends the updated visitor data to the
-  // main process to be saved back to the CSV file.
-  updateAndSaveCsvFile: (updatedVisitor) =>
-    ipcRenderer.invoke("dialog:updateAndSaveCsvFile", updatedVisitor),
+  // Two-way sync with the CSV: plan it, then apply it with the user's conflict choices.
+  planSync: () => ipcRenderer.invoke("sync:plan"),
+  applySync: (resolutions) => ipcRenderer.invoke("sync:apply", resolutions),
+  cancelSync: () => ipcRenderer.invoke("sync:cancel"),
+  // ID photos: a frame captured from the camera, or an image file chosen by the user.
+  savePhotoCapture: (visitorId, data) =>
+    ipcRenderer.invoke("photos:saveCapture", { visitorId, data }),
+  attachPhotoFile: (visitorId) =>
+    ipcRenderer.invoke("photos:attachFile", visitorId),
+  // Import wizard: open a file from another system, check a column mapping, then add the rows.
+  openImport: () => ipcRenderer.invoke("import:open"),
+  checkImport: (mapping) => ipcRenderer.invoke("import:check", mapping),
+  commitImport: (mapping) => ipcRenderer.invoke("import:commit", mapping),
+  cancelImport: () => ipcRenderer.invoke("import:cancel"),
+  // Automatic backups of the CSV file, taken before every write.
+  listBackups: () => ipcRenderer.invoke("backups:list"),
+  restoreBackup: (name) => ipcRenderer.invoke("backups:restore", name),
+  // Creates or updates a visitor in the database and their row in the CSV file.
+  saveVisitor: (visitor) => ipcRenderer.invoke("visitors:save", visitor),
+  // Saves the ban/unban audit log to a file chosen by the user.
+  exportAuditLog: () => ipcRenderer.invoke("dialog:exportAuditLog"),
+  // Saves a filtered selection of visitors to a new CSV or JSON file.
+  exportVisitors: (options) =>
+    ipcRenderer.invoke("dialog:exportVisitors", options),
   // Requests the system path for the 'photos' folder
   getCSVDirectory: () => ipcRenderer.invoke("get-file-dir"),
 });
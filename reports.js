@@ -0,0 +1,312 @@
+/**
+ * Printable reports - Main process only.
+ * Reports are built as standalone HTML pages and printed to PDF from a
+ * hidden window, so the PDF never depends on the state of the app window.
+ */
+
+const path = require("node:path");
+const os = require("node:os");
+const fs = require("fs");
+const { BrowserWindow } = require("electron");
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Shared layout for every report; the styles stay inline so the page needs nothing else.
+const REPORT_STYLES = `
+  body { font-family: Arial, Helvetica, sans-serif; color: #1f2937; margin: 0; font-size: 11px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 14px; margin: 18px 0 6px; border-bottom: 1px solid #d1d5db; padding-bottom: 2px; }
+  .meta { color: #6b7280; margin-bottom: 12px; }
+  .cards { display: flex; gap: 8px; }
+  .card { flex: 1; border: 1px solid #d1d5db; border-radius: 6px; padding: 8px; }
+  .card strong { display: block; font-size: 18px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 3px 4px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { color: #6b7280; font-weight: normal; }
+  .bar { background: #4f46e5; height: 10px; }
+  .banned { color: #b91c1c; font-weight: bold; }
+  section { break-inside: avoid; }
+`;
+
+/**
+ * Wraps report content in a complete HTML page.
+ *
+ * @param {string} title
+ * @param {string} body - HTML for the page body; callers escape their values.
+ * @param {string} [styles] - Extra CSS for this report.
+ */
+const reportPage = (title, body, styles = "") => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>${REPORT_STYLES}${styles}</style>
+  </head>
+  <body>${body}</body>
+</html>`;
+
+/**
+ * Lists every month from a start date up to and including the current one,
+ * filling in the months a query returned no row for.
+ *
+ * @param {Object[]} rows - `{ month: "YYYY-MM", count }` rows.
+ * @param {string} since - ISO timestamp the period starts at.
+ * @returns {Object[]} One `{ month, count }` per month, oldest first.
+ */
+const fillMonths = (rows, since) => {
+  const counts = new Map(rows.map((row) => [row.month, row.count]));
+  const months = [];
+  const cursor = new Date(since);
+  cursor.setUTCDate(1);
+  const end = new Date().toISOString().slice(0, 7);
+  while (cursor.toISOString().slice(0, 7) <= end) {
+    const month = cursor.toISOString().slice(0, 7);
+    months.push({ month, count: counts.get(month) || 0 });
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+};
+
+// "2026-03" -> "Mar 2026"
+const formatMonth = (month) =>
+  new Date(`${month}-01T00:00:00Z`).toLocaleDateString("en-GB", {
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+const formatDateTime = (timestamp) =>
+  timestamp
+    ? new Date(timestamp).toLocaleString("en-GB", {
+        dateStyle: "medium",
+        timeStyle: "short",
+      })
+    : "";
+
+const monthTable = (months) => {
+  const largest = Math.max(1, ...months.map((m) => m.count));
+  return `<table>${months
+    .map(
+      ({ month, count }) => `<tr>
+        <td style="width: 70px">${escapeHtml(formatMonth(month))}</td>
+        <td style="width: 30px">${count}</td>
+        <td><div class="bar" style="width: ${(count / largest) * 100}%"></div></td>
+      </tr>`,
+    )
+    .join("")}</table>`;
+};
+
+const rowsTable = (headings, rows) =>
+  rows.length === 0
+    ? "<p>None in this period.</p>"
+    : `<table>
+        <tr>${headings.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr>
+        ${rows
+          .map(
+            (cells) =>
+              `<tr>${cells.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`,
+          )
+          .join("")}
+      </table>`;
+
+/**
+ * Builds the management report from the dashboard figures.
+ *
+ * @param {Object} stats - As returned by the dashboard:get handler.
+ * @returns {string} A complete HTML page.
+ */
+const buildDashboardReport = (stats) => {
+  const { totals } = stats;
+  const body = `
+    <h1>Visitor Report</h1>
+    <p class="meta">
+      ${escapeHtml(formatMonth(stats.since.slice(0, 7)))} to
+      ${escapeHtml(formatMonth(stats.generatedAt.slice(0, 7)))} ·
+      generated ${escapeHtml(formatDateTime(stats.generatedAt))}
+    </p>
+    <div class="cards">
+      <div class="card"><strong>${totals.total}</strong>Visitors</div>
+      <div class="card"><strong class="banned">${totals.banned}</strong>Banned</div>
+      <div class="card"><strong>${totals.cleared}</strong>Cleared</div>
+      <div class="card"><strong>${totals.onSite}</strong>On site now</div>
+    </div>
+    <section><h2>Bans per month</h2>${monthTable(stats.bansByMonth)}</section>
+    <section><h2>Visits per month</h2>${monthTable(stats.visitsByMonth)}</section>
+    <section>
+      <h2>Bans per flat</h2>
+      ${rowsTable(
+        ["Flat", "Bans"],
+        stats.bansByFlat.map((row) => [row.flat, row.count]),
+      )}
+    </section>
+    <section>
+      <h2>Most frequent visitors</h2>
+      ${rowsTable(
+        ["Name", "Status", "Visits", "Last visit"],
+        stats.frequentVisitors.map((v) => [
+          `${v.firstName} ${v.lastName}`,
+          v.isBanned === 1 ? "Banned" : "Cleared",
+          v.visits,
+          formatDateTime(v.lastVisit),
+        ]),
+      )}
+    </section>
+    <section>
+      <h2>Recent status changes</h2>
+      ${rowsTable(
+        ["When", "Visitor", "Change", "By", "Reason"],
+        stats.recentChanges.map((change) => [
+          formatDateTime(change.timestamp),
+          change.firstName
+            ? `${change.firstName} ${change.lastName}`
+            : "(merged or removed)",
+          change.action === "ban"
+            ? `Banned${change.category ? ` (${change.category})` : ""}`
+            : "Ban lifted",
+          change.operator,
+          change.reason,
+        ]),
+      )}
+    </section>`;
+  return reportPage("Visitor Report", body);
+};
+
+// A photo, or a grey box saying there is none.
+const photoHtml = (dataUrl, className) =>
+  dataUrl
+    ? `<img class="${className}" src="${escapeHtml(dataUrl)}" alt="" />`
+    : `<div class="${className} no-photo">No photo</div>`;
+
+// Page size for badges, in inches: fits a standard badge holder.
+const BADGE_PAGE_SIZE = { width: 4, height: 3 };
+
+const BADGE_STYLES = `
+  @page { margin: 0; }
+  body { padding: 0.2in; }
+  .badge { display: flex; gap: 0.15in; border: 2px solid #4f46e5; border-radius: 8px; padding: 0.15in; height: 2.3in; box-sizing: border-box; }
+  .photo { width: 1.2in; height: 1.5in; object-fit: cover; border-radius: 4px; }
+  .no-photo { background: #e5e7eb; color: #6b7280; display: flex; align-items: center; justify-content: center; }
+  .label { color: #4f46e5; font-weight: bold; letter-spacing: 2px; font-size: 12px; }
+  .name { font-size: 20px; font-weight: bold; margin: 6px 0; }
+  .detail { font-size: 12px; margin: 2px 0; }
+`;
+
+/**
+ * Builds a visitor badge for someone who is checked in.
+ *
+ * @param {Object} visitor - The visitor's row.
+ * @param {Object} visit - Their open visit (`flatVisited`, `timeIn`, `checkedInBy`).
+ * @param {string|null} photo - Their photo as a data: URL, from photos.js.
+ * @returns {string} A complete HTML page, one badge in size.
+ */
+const buildBadge = (visitor, visit, photo) => {
+  const body = `
+    <div class="badge">
+      ${photoHtml(photo, "photo")}
+      <div>
+        <div class="label">VISITOR</div>
+        <div class="name">${escapeHtml(visitor.firstName)} ${escapeHtml(visitor.lastName)}</div>
+        <p class="detail">Visiting flat ${escapeHtml(visit.flatVisited || "N/A")}</p>
+        <p class="detail">${escapeHtml(formatDateTime(visit.timeIn))}</p>
+        <p class="detail">Checked in by ${escapeHtml(visit.checkedInBy)}</p>
+      </div>
+    </div>`;
+  return reportPage(
+    `Visitor badge - ${visitor.firstName} ${visitor.lastName}`,
+    body,
+    BADGE_STYLES,
+  );
+};
+
+const WATCH_SHEET_STYLES = `
+  h1 { color: #b91c1c; }
+  .grid { display: flex; flex-wrap: wrap; gap: 8px; }
+  .entry { width: calc(50% - 4px); box-sizing: border-box; display: flex; gap: 8px; border: 1px solid #fca5a5; border-radius: 6px; padding: 6px; break-inside: avoid; }
+  .photo { width: 70px; height: 90px; object-fit: cover; flex-shrink: 0; }
+  .no-photo { background: #e5e7eb; color: #6b7280; display: flex; align-items: center; justify-content: center; font-size: 9px; }
+  .name { font-size: 13px; font-weight: bold; }
+  .entry p { margin: 2px 0; }
+`;
+
+/**
+ * Builds the "do not admit" sheet for the door: every banned visitor with
+ * their photo, ban category, reason and end date.
+ *
+ * @param {Object[]} entries - `visitor` rows with their `photo` data: URL, in print order.
+ * @param {string} generatedAt - ISO timestamp printed on the sheet.
+ * @returns {string} A complete HTML page.
+ */
+const buildWatchSheet = (entries, generatedAt) => {
+  const items = entries
+    .map(
+      ({ visitor, photo }) => `
+      <div class="entry">
+        ${photoHtml(photo, "photo")}
+        <div>
+          <div class="name">${escapeHtml(visitor.firstName)} ${escapeHtml(visitor.lastName)}</div>
+          ${visitor.dateOfBirth ? `<p>Born ${escapeHtml(visitor.dateOfBirth)}</p>` : ""}
+          ${visitor.flatNumber ? `<p>Flat ${escapeHtml(visitor.flatNumber)}</p>` : ""}
+          <p class="banned">${escapeHtml(visitor.banCategory || "Banned")}${
+            visitor.banUntil
+              ? ` until ${escapeHtml(visitor.banUntil)}`
+              : " · no end date"
+          }</p>
+          <p>${escapeHtml(visitor.notes || "No reason recorded.")}</p>
+        </div>
+      </div>`,
+    )
+    .join("");
+  const body = `
+    <h1>Do Not Admit</h1>
+    <p class="meta">
+      ${entries.length} banned visitors · printed ${escapeHtml(formatDateTime(generatedAt))}.
+      Check the app for changes before relying on an old copy.
+    </p>
+    <div class="grid">${items || "<p>Nobody is banned.</p>"}</div>`;
+  return reportPage("Do Not Admit", body, WATCH_SHEET_STYLES);
+};
+
+/**
+ * Prints an HTML page to PDF in a hidden window with scripts turned off.
+ * The page is loaded from a private temp file rather than a data: URL,
+ * which Chromium cuts off at about 2 MB, less than a sheet of photos.
+ *
+ * @param {string} html - A complete page from one of the builders above.
+ * @param {Object} [options] - Passed on to `webContents.printToPDF`.
+ * @returns {Promise<Buffer>} The PDF file's content.
+ */
+const renderPdf = async (html, options = {}) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "visitor-report-"));
+  const window = new BrowserWindow({
+    show: false,
+    webPreferences: { javascript: false, sandbox: true },
+  });
+  try {
+    const pagePath = path.join(tempDir, "report.html");
+    fs.writeFileSync(pagePath, html, { encoding: "utf-8", mode: 0o600 });
+    await window.loadFile(pagePath);
+    return await window.webContents.printToPDF({
+      pageSize: "A4",
+      printBackground: true,
+      margins: { marginType: "default" },
+      ...options,
+    });
+  } finally {
+    window.destroy();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  fillMonths,
+  buildDashboardReport,
+  BADGE_PAGE_SIZE,
+  buildBadge,
+  buildWatchSheet,
+  renderPdf,
+};
@@ -1,30 +1,95 @@
 /**
  * Visitor Log Application - Client Side Logic
- * Handles SQLite DB, UI updates, and Electron communication.
+ * Handles UI updates and Electron communication. The SQLite database is
+ * owned by the main process and reached through `window.electronAPI`.
  */
 
 /**
  * @typedef {Object} ElectronAPI
- * @property {Function} readCsvFile
- * @property {Function} updateAndSaveCsvFile
+ * @property {Function} getAuthStatus
+ * @property {Function} setupFirstAccount
+ * @property {Function} login
+ * @property {Function} logout
+ * @property {Function} listStaff
+ * @property {Function} createStaff
+ * @property {Function} setStaffPassword
+ * @property {Function} listVisitors
+ * @property {Function} banVisitor
+ * @property {Function} unbanVisitor
+ * @property {Function} checkBanExpiry
+ * @property {Function} listNotes
+ * @property {Function} addNote
+ * @property {Function} updateNote
+ * @property {Function} listFlats
+ * @property {Function} getFlat
+ * @property {Function} saveFlat
+ * @property {Function} getVisitorFlats
+ * @property {Function} findDuplicates
+ * @property {Function} dismissDuplicate
+ * @property {Function} mergeVisitors
+ * @property {Function} getDashboard
+ * @property {Function} exportDashboardPdf
+ * @property {Function} printBadge
+ * @property {Function} printWatchSheet
+ * @property {Function} getApiSettings
+ * @property {Function} saveApiSettings
+ * @property {Function} createApiToken
+ * @property {Function} onApiChange
+ * @property {Function} eraseVisitor
+ * @property {Function} exportSubjectData
+ * @property {Function} getRetention
+ * @property {Function} setRetention
+ * @property {Function} applyRetention
+ * @property {Function} getBanHistory
+ * @property {Function} getOnSite
+ * @property {Function} getVisits
+ * @property {Function} checkIn
+ * @property {Function} checkOut
+ * @property {Function} openDatabase
+ * @property {Function} migrateLegacyDb
+ * @property {Function} chooseCsvFile
+ * @property {Function} openRecentFile
+ * @property {Function} reopenLastFile
+ * @property {Function} listRecentFiles
+ * @property {Function} onFilesChanged
+ * @property {Function} planSync
+ * @property {Function} applySync
+ * @property {Function} cancelSync
+ * @property {Function} savePhotoCapture
+ * @property {Function} attachPhotoFile
+ * @property {Function} openImport
+ * @property {Function} checkImport
+ * @property {Function} commitImport
+ * @property {Function} cancelImport
+ * @property {Function} listBackups
+ * @property {Function} restoreBackup
  * @property {Function} getCSVDirectory
+ * @property {Function} saveVisitor
+ * @property {Function} exportAuditLog
+ * @property {Function} exportVisitors
  */
 
 // --- Global State Variables ---
-let db = null;
 let visitorsList = [];
 let selectedVisitorId = null;
+// Id of the visitor being edited in the form, or null when adding a new one.
+let editingVisitorId = null;
+// The signed-in staff member as reported by the main process.
+let currentUser = null;
+// The ranked search results on screen and the one picked with the arrow keys.
+let searchResults = [];
+let activeResultIndex = -1;
 
 let passwordInput = null;
 let togglePasswordButton = null;
 let eyeIcon = null;
 
-const UNBAN_PASSWORD = "salvation_army2026";
-
 /** * IMPORTANT: This is updated dynamically once a CSV is selected
  * to point to the 'photos' folder next to that CSV.
  */
 let IMAGE_FOLDER = "";
+// Bumped when the photos folder changes, so a replaced photo is loaded again.
+let photoVersion = 0;
 
 // --- Path & Resource Setup ---
 
@@ -34,45 +99,47 @@ const setupPaths = async () => {
     const baseDir = await window.electronAPI.getCSVDirectory();
 
     if (baseDir) {
-      // 2. Point to the 'photos' folder using our custom protocol 'vlog-img://'
-      // This bypasses security blocks and handles Windows backslashes correctly.
-      IMAGE_FOLDER = `vlog-img://${baseDir}/photos`.replace(/\\/g, "/");
-      console.log("Image folder initialized at:", IMAGE_FOLDER);
+      // 2. Photos load through our custom protocol 'vlog-img://', which the main
+      // process serves from the 'photos' folder next to the open CSV only.
+      IMAGE_FOLDER = "vlog-img://photos";
+      console.log("Image folder initialized for:", baseDir);
     } else {
+      IMAGE_FOLDER = "";
       console.warn("No CSV directory found yet. IMAGE_FOLDER not set.");
     }
   } catch (err) {
     console.error("Could not retrieve resource path:", err);
-    IMAGE_FOLDER = "photos"; // Basic fallback
+    IMAGE_FOLDER = "";
   }
 };
 
 // --- Data Persistence Functions ---
 
-const sqlQueryToObjects = (res) => {
-  if (!res || res.length === 0) return [];
-  const columns = res[0].columns;
-  const values = res[0].values;
-  return values.map((row) => {
-    const obj = {};
-    columns.forEach((col, index) => {
-      obj[col] = row[index];
-    });
-    return obj;
-  });
-};
-
 const loadVisitorsFromDb = async () => {
-  const res = db.exec("SELECT * FROM visitors");
-  visitorsList = sqlQueryToObjects(res);
+  const result = await window.electronAPI.listVisitors();
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  visitorsList = result.visitors;
   console.log("Visitors data loaded from SQLite:", visitorsList);
 };
 
-const saveDbToLocalStorage = () => {
-  const binaryArray = db.export();
-  const buffer = new Uint8Array(binaryArray);
-  const stringifiedBuffer = JSON.stringify(Array.from(buffer));
-  localStorage.setItem("sqliteDb", stringifiedBuffer);
+/**
+ * Hands the database that older versions kept in localStorage to the main
+ * process, then removes it. The blob is kept if the copy fails so no data is lost.
+ */
+const migrateLegacyDb = async () => {
+  const storedDb = localStorage.getItem("sqliteDb");
+  if (!storedDb) return;
+
+  const image = new Uint8Array(JSON.parse(storedDb));
+  const result = await window.electronAPI.migrateLegacyDb(image);
+  if (result.success) {
+    localStorage.removeItem("sqliteDb");
+  } else {
+    console.error("Legacy database migration failed:", result.error);
+    showMessageBox("Could not migrate the old local database.", "error");
+  }
 };
 
 // --- Utility Functions ---
@@ -81,6 +148,48 @@ const isVisitorBanned = (visitor) => {
   return visitor && visitor.isBanned === 1;
 };
 
+// A ban whose end date has come, kept until a supervisor reviews it.
+const isBanReviewDue = (visitor) =>
+  Boolean(
+    isVisitorBanned(visitor) &&
+    visitor.banUntil &&
+    visitor.banUntil <= toLocalDate(),
+  );
+
+// "19 Jan 2027" from a YYYY-MM-DD ban end date.
+const formatBanDate = (date) =>
+  new Date(`${date}T00:00`).toLocaleDateString("en-GB", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+
+/**
+ * Describes a ban's category and end, e.g. "Theft or damage · until
+ * 19 Jan 2027, then review". Bans set in the CSV have neither.
+ */
+const describeBanTerms = ({ banCategory, banUntil, banOnExpiry }) => {
+  const end = banUntil
+    ? `until ${formatBanDate(banUntil)}, then ${
+        banOnExpiry === "lift" ? "lifted automatically" : "review"
+      }`
+    : "no end date";
+  return banCategory ? `${banCategory} · ${end}` : `Ban: ${end}`;
+};
+
+const formatTimestamp = (isoString) =>
+  new Date(isoString).toLocaleString("en-GB", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Mirrors the role check done in main.js, only to decide what the UI shows.
+const hasPermission = (permission) =>
+  Boolean(currentUser && currentUser.permissions.includes(permission));
+
 const showMessageBox = (message, type = "success") => {
   const messageBoxWrapper = document.getElementById("messageBoxWrapper");
   const messageBox = document.getElementById("messageBox");
@@ -103,37 +212,131 @@ const showMessageBox = (message, type = "success") => {
 
 // --- UI Rendering Functions ---
 
+/**
+ * A small ID photo for lists. It loads the thumbnail saved with the photo,
+ * then the full photo for ones added outside the app, then "No ID".
+ *
+ * @param {Object} visitor - Any object with the visitor's `scannedIdPicUrl`.
+ * @returns {HTMLImageElement}
+ */
+const createPhotoThumbnail = (visitor) => {
+  const fileName = (visitor.scannedIdPicUrl || "").trim();
+  // Thumbnails are JPEGs named after the photo, as photos.js saves them.
+  const baseName = fileName
+    .split(/[\\/]/)
+    .pop()
+    .replace(/\.[^.]*$/, "");
+  const sources =
+    fileName && IMAGE_FOLDER
+      ? [
+          `${IMAGE_FOLDER}/thumbs/${encodeURIComponent(baseName)}.jpg?v=${photoVersion}`,
+          `${IMAGE_FOLDER}/${encodeURIComponent(fileName)}?v=${photoVersion}`,
+          "./no-id.svg",
+        ]
+      : ["./no-id.svg"];
+
+  const img = document.createElement("img");
+  img.className = "w-10 h-10 rounded-full object-cover bg-gray-100 shrink-0";
+  img.alt = "";
+  img.loading = "lazy";
+  img.onerror = () => {
+    const next = sources.shift();
+    if (next) img.src = next;
+  };
+  img.src = sources.shift();
+  return img;
+};
+
+// Opens a visitor's profile from the results list.
+const selectSearchResult = (visitor) => {
+  selectedVisitorId = visitor.id;
+  renderFoundProfile(visitor);
+  document.getElementById("searchResultsContainer").classList.add("hidden");
+};
+
+// Moves the keyboard highlight to a result and keeps it scrolled into view.
+const highlightSearchResult = (index) => {
+  const items = document.querySelectorAll("#searchResultsContainer li");
+  activeResultIndex = index;
+  items.forEach((li, i) => {
+    li.classList.toggle("bg-blue-100", i === index);
+    li.setAttribute("aria-selected", String(i === index));
+  });
+  if (items[index]) items[index].scrollIntoView({ block: "nearest" });
+  document
+    .getElementById("search")
+    .setAttribute("aria-activedescendant", items[index] ? items[index].id : "");
+};
+
+/**
+ * Lists ranked search results, best match first and highlighted so Enter
+ * opens it. Banned visitors are marked in red.
+ *
+ * @param {Object[]} visitors - Results from `rankVisitors`.
+ */
 const renderSearchResults = (visitors) => {
   const resultsContainer = document.getElementById("searchResultsContainer");
   const profileBox = document.getElementById("foundProfileBox");
 
   resultsContainer.innerHTML = "";
   profileBox.classList.add("hidden");
+  searchResults = visitors;
+  activeResultIndex = -1;
 
   if (visitors.length === 0) {
     resultsContainer.innerHTML =
       '<p class="text-center text-gray-500">No visitors found.</p>';
+    resultsContainer.classList.remove("hidden");
     return;
   }
 
   const ul = document.createElement("ul");
   ul.className = "divide-y divide-gray-200";
+  ul.setAttribute("role", "listbox");
 
-  visitors.forEach((visitor) => {
+  visitors.forEach((visitor, index) => {
+    const banned = isVisitorBanned(visitor);
     const li = document.createElement("li");
-    li.className =
-      "p-4 hover:bg-gray-100 cursor-pointer transition-colors duration-200 rounded-lg";
-    li.textContent = `${visitor.firstName} ${visitor.lastName}`;
-    li.onclick = () => {
-      selectedVisitorId = visitor.id;
-      renderFoundProfile(visitor);
-      resultsContainer.classList.add("hidden");
-    };
+    li.id = `search-result-${index}`;
+    li.setAttribute("role", "option");
+    li.className = `p-4 hover:bg-gray-100 cursor-pointer transition-colors duration-200 rounded-lg flex items-center justify-between ${
+      banned ? "border-l-4 border-red-500" : ""
+    }`;
+
+    const text = document.createElement("div");
+    const name = document.createElement("p");
+    name.className = banned ? "font-semibold text-red-700" : "font-semibold";
+    name.textContent = `${visitor.firstName} ${visitor.lastName}`;
+    const details = document.createElement("p");
+    details.className = "text-sm text-gray-500";
+    details.textContent = [
+      visitor.flatNumber && `Flat ${visitor.flatNumber}`,
+      visitor.dateOfBirth,
+      visitor.phoneNumber,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    text.append(name, details);
+    const person = document.createElement("div");
+    person.className = "flex items-center space-x-3";
+    person.append(createPhotoThumbnail(visitor), text);
+    li.appendChild(person);
+
+    if (banned) {
+      const badge = document.createElement("span");
+      badge.className =
+        "px-2 py-1 text-xs font-bold text-white bg-red-600 rounded-full";
+      badge.textContent = "BANNED";
+      li.appendChild(badge);
+    }
+
+    li.onclick = () => selectSearchResult(visitor);
     ul.appendChild(li);
   });
 
   resultsContainer.appendChild(ul);
   resultsContainer.classList.remove("hidden");
+  highlightSearchResult(0);
 };
 
 const renderFoundProfile = (visitor) => {
@@ -143,14 +346,19 @@ const renderFoundProfile = (visitor) => {
 
   if (profileBox && generalNotesBox) {
     if (visitor) {
+      // A half-written note stays when the same profile is shown again.
+      if (profileBox.dataset.visitorId !== visitor.id) resetNoteForm();
+      profileBox.dataset.visitorId = visitor.id;
+
       // Logic for constructing the image path
       const fileName = visitor.scannedIdPicUrl
         ? visitor.scannedIdPicUrl.trim()
         : "";
 
-      const imagePath = fileName
-        ? `${IMAGE_FOLDER}/${fileName}`
-        : "https://placehold.co/400x250/000000/FFFFFF?text=No+ID";
+      const imagePath =
+        fileName && IMAGE_FOLDER
+          ? `${IMAGE_FOLDER}/${encodeURIComponent(fileName)}?v=${photoVersion}`
+          : "./no-id.svg";
 
       console.log("Attempting to load image from:", imagePath);
 
@@ -173,8 +381,13 @@ const renderFoundProfile = (visitor) => {
       document.getElementById("profileImage").src = imagePath;
 
       const isBanned = isVisitorBanned(visitor);
+      const banTerms = document.getElementById("profileBanTerms");
+      banTerms.textContent = isBanned ? describeBanTerms(visitor) : "";
+      banTerms.classList.toggle("hidden", !isBanned);
       if (isBanned) {
-        statusSpan.textContent = "BANNED";
+        statusSpan.textContent = isBanReviewDue(visitor)
+          ? "BANNED · REVIEW DUE"
+          : "BANNED";
         statusSpan.className = "profile-status banned";
       } else {
         statusSpan.textContent = "CLEARED";
@@ -185,26 +398,490 @@ const renderFoundProfile = (visitor) => {
         openBanModal(visitor.id);
       document.getElementById("profileUnbanButton").onclick = () =>
         openUnbanModal(visitor.id);
+      document.getElementById("profileEditButton").onclick = () =>
+        openVisitorForm(visitor);
+      document.getElementById("profileSubjectExportButton").onclick = () =>
+        handleSubjectExport(visitor.id);
+      document.getElementById("profileEraseButton").onclick = () =>
+        openEraseModal(visitor);
+
+      renderBanHistory(visitor.id);
+      renderVisitHistory(visitor);
+      renderVisitorFlats(visitor);
+      renderNotes(visitor.id);
 
       generalNotesBox.classList.remove("hidden");
-      document.getElementById("generalNotesInput").value =
-        visitor.generalNotes || "";
     } else {
+      delete profileBox.dataset.visitorId;
       profileBox.classList.add("hidden");
       generalNotesBox.classList.add("hidden");
     }
   }
 };
 
+// Async renders check this so a slow reply never paints over a newer profile.
+const isProfileShown = (visitorId) =>
+  document.getElementById("foundProfileBox").dataset.visitorId === visitorId;
+
+/**
+ * Renders the ban/unban timeline for a visitor, newest first.
+ *
+ * @param {string} visitorId - The id of the visitor whose history is shown.
+ */
+const renderBanHistory = async (visitorId) => {
+  const list = document.getElementById("banHistoryList");
+  const result = await window.electronAPI.getBanHistory(visitorId);
+  if (!isProfileShown(visitorId)) return;
+  list.innerHTML = "";
+
+  if (!result.success) {
+    list.innerHTML =
+      '<li class="text-sm text-red-600">Could not load the ban history.</li>';
+    return;
+  }
+  const entries = result.entries;
+
+  if (entries.length === 0) {
+    list.innerHTML =
+      '<li class="text-sm text-gray-500">No bans recorded for this visitor.</li>';
+    return;
+  }
+
+  entries.forEach((entry) => {
+    const li = document.createElement("li");
+    li.className = entry.action;
+
+    const heading = document.createElement("p");
+    heading.className = "text-sm font-semibold text-gray-800";
+    heading.textContent = `${entry.action === "ban" ? "Banned" : "Unbanned"} by ${entry.operator} on ${formatTimestamp(entry.timestamp)}`;
+
+    const reason = document.createElement("p");
+    reason.className = "text-sm text-gray-600";
+    reason.textContent = entry.reason || "No reason given.";
+    if (entry.action === "ban" && entry.category) {
+      reason.textContent += ` (${entry.category}, ${
+        entry.banUntil
+          ? `until ${formatBanDate(entry.banUntil)}`
+          : "no end date"
+      })`;
+    }
+
+    li.append(heading, reason);
+    list.appendChild(li);
+  });
+};
+
+// --- Notes ---
+
+// Label colours for each note category.
+const NOTE_CATEGORY_STYLES = {
+  incident: "bg-red-100 text-red-800",
+  welfare: "bg-amber-100 text-amber-800",
+  general: "bg-gray-100 text-gray-700",
+};
+
+// Id of the note being edited in the notes form, or null when adding one.
+let editingNoteId = null;
+
+const resetNoteForm = () => {
+  editingNoteId = null;
+  document.getElementById("noteForm").reset();
+  document.getElementById("saveNoteButton").textContent = "Add Note";
+  document.getElementById("cancelNoteEditButton").classList.add("hidden");
+  document.getElementById("noteEditingLabel").classList.add("hidden");
+};
+
+// Loads one of the user's own notes into the form to change it.
+const startNoteEdit = (note) => {
+  editingNoteId = note.id;
+  document.getElementById("noteCategory").value = note.category;
+  document.getElementById("noteBody").value = note.body;
+  document.getElementById("saveNoteButton").textContent = "Save Changes";
+  document.getElementById("cancelNoteEditButton").classList.remove("hidden");
+  document.getElementById("noteEditingLabel").classList.remove("hidden");
+  document.getElementById("noteBody").focus();
+};
+
+/**
+ * Renders a visitor's notes, newest first. Only notes written by the
+ * signed-in user get an Edit button.
+ *
+ * @param {string} visitorId - The id of the visitor whose notes are shown.
+ */
+const renderNotes = async (visitorId) => {
+  const list = document.getElementById("notesList");
+  const result = await window.electronAPI.listNotes(visitorId);
+  if (!isProfileShown(visitorId)) return;
+  list.innerHTML = "";
+
+  if (!result.success) {
+    list.innerHTML =
+      '<li class="py-2 text-sm text-red-600">Could not load the notes.</li>';
+    return;
+  }
+  if (result.notes.length === 0) {
+    list.innerHTML =
+      '<li class="py-2 text-sm text-gray-500">No notes for this visitor yet.</li>';
+    return;
+  }
+
+  result.notes.forEach((note) => {
+    const li = document.createElement("li");
+    li.className = "py-2";
+
+    const heading = document.createElement("div");
+    heading.className = "flex items-center space-x-2 text-sm";
+    const category = document.createElement("span");
+    category.className = `px-2 py-0.5 rounded-full text-xs font-semibold ${NOTE_CATEGORY_STYLES[note.category]}`;
+    category.textContent = NOTE_CATEGORIES[note.category];
+    const meta = document.createElement("span");
+    meta.className = "text-gray-500";
+    meta.textContent = `${note.author} · ${formatTimestamp(note.createdAt)}`;
+    if (note.updatedAt) {
+      meta.textContent += ` · edited ${formatTimestamp(note.updatedAt)}`;
+    }
+    heading.append(category, meta);
+
+    if (note.authorUsername && note.authorUsername === currentUser.username) {
+      const edit = document.createElement("button");
+      edit.type = "button";
+      edit.className = "text-blue-700 hover:underline";
+      edit.textContent = "Edit";
+      edit.onclick = () => startNoteEdit(note);
+      heading.appendChild(edit);
+    }
+
+    const body = document.createElement("p");
+    body.className = "text-sm text-gray-800 whitespace-pre-wrap";
+    body.textContent = note.body;
+
+    li.append(heading, body);
+    list.appendChild(li);
+  });
+};
+
+// Adds a note to the shown profile, or saves the one being edited.
+const handleNoteSubmit = async (event) => {
+  event.preventDefault();
+  const visitorId =
+    document.getElementById("foundProfileBox").dataset.visitorId;
+  if (!visitorId) return;
+
+  const note = {
+    category: document.getElementById("noteCategory").value,
+    body: document.getElementById("noteBody").value.trim(),
+  };
+  const invalid = validateNote(note);
+  if (invalid) {
+    showMessageBox(invalid, "error");
+    return;
+  }
+
+  const isEdit = editingNoteId !== null;
+  const result = isEdit
+    ? await window.electronAPI.updateNote({ noteId: editingNoteId, ...note })
+    : await window.electronAPI.addNote({ visitorId, ...note });
+  if (!result.success) {
+    showMessageBox(result.error || "Could not save the note.", "error");
+    return;
+  }
+
+  resetNoteForm();
+  await loadVisitorsFromDb();
+  renderNotes(visitorId);
+  showMessageBox(isEdit ? "Note updated." : "Note added.", "success");
+};
+
+// --- Visit Log ---
+
+const formatTime = (isoString) =>
+  new Date(isoString).toLocaleTimeString("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Human readable time on site, e.g. "1h 05m".
+const formatDuration = (fromIso, toIso = new Date().toISOString()) => {
+  const minutes = Math.max(
+    0,
+    Math.round((new Date(toIso) - new Date(fromIso)) / 60000),
+  );
+  const hours = Math.floor(minutes / 60);
+  return hours > 0
+    ? `${hours}h ${String(minutes % 60).padStart(2, "0")}m`
+    : `${minutes}m`;
+};
+
+/**
+ * Renders the "currently on site" register used for fire roll calls.
+ */
+const renderOnSitePanel = async () => {
+  const list = document.getElementById("onSiteList");
+  const result = await window.electronAPI.getOnSite();
+  if (!result.success) {
+    console.error("Could not load the on-site register:", result.error);
+    return;
+  }
+  const onSite = result.visits;
+
+  document.getElementById("onSiteCount").textContent = onSite.length;
+  list.innerHTML = "";
+
+  if (onSite.length === 0) {
+    list.innerHTML =
+      '<li class="py-2 text-gray-500">Nobody is checked in right now.</li>';
+    return;
+  }
+
+  onSite.forEach((visit) => {
+    const li = document.createElement("li");
+    li.className = "py-2 flex items-center justify-between";
+
+    const details = document.createElement("button");
+    details.className = "text-left hover:underline flex items-center space-x-3";
+    const label = document.createElement("span");
+    label.textContent = `${visit.firstName} ${visit.lastName} · Flat ${visit.flatVisited || "N/A"} · in since ${formatTime(visit.timeIn)} (${formatDuration(visit.timeIn)})`;
+    details.append(createPhotoThumbnail(visit), label);
+    details.onclick = () => {
+      selectedVisitorId = visit.visitorId;
+      renderFoundProfile(visitorsList.find((v) => v.id === visit.visitorId));
+    };
+
+    const badgeButton = document.createElement("button");
+    badgeButton.className =
+      "px-3 py-1 text-xs font-medium text-indigo-700 bg-indigo-100 rounded-full hover:bg-indigo-200 transition-colors";
+    badgeButton.textContent = "Badge";
+    badgeButton.onclick = () => printBadge(visit.visitorId);
+
+    const checkOutButton = document.createElement("button");
+    checkOutButton.className =
+      "px-3 py-1 text-xs font-medium text-white bg-indigo-600 rounded-full hover:bg-indigo-700 transition-colors";
+    checkOutButton.textContent = "Check Out";
+    checkOutButton.onclick = () => checkOutVisit(visit.id);
+
+    const actions = document.createElement("div");
+    actions.className = "flex space-x-2";
+    actions.append(badgeButton, checkOutButton);
+
+    li.append(details, actions);
+    list.appendChild(li);
+  });
+};
+
+// --- Ban Expiry ---
+
+// How often bans past their end date are looked for while the app is open.
+const BAN_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Has main lift the bans that ended and are set to lift automatically, then
+ * lists the bans ending in the next 30 days, those waiting for review first.
+ */
+const checkBanExpiry = async () => {
+  const result = await window.electronAPI.checkBanExpiry();
+  if (!result.success) {
+    console.error("Could not check ban expiry:", result.error);
+    return;
+  }
+
+  if (result.lifted > 0) {
+    await loadVisitorsFromDb();
+    if (selectedVisitorId) {
+      renderFoundProfile(visitorsList.find((v) => v.id === selectedVisitorId));
+    }
+    showMessageBox(
+      `${result.lifted} bans reached their end date and were lifted.`,
+      "success",
+    );
+  }
+
+  const panel = document.getElementById("banReviewPanel");
+  const list = document.getElementById("banReviewList");
+  panel.classList.toggle("hidden", result.ending.length === 0);
+  document.getElementById("banReviewCount").textContent = result.ending.length;
+  list.innerHTML = "";
+
+  result.ending.forEach((ban) => {
+    const li = document.createElement("li");
+    li.className = "py-2 flex items-center justify-between";
+
+    const details = document.createElement("button");
+    details.className = "text-left hover:underline";
+    details.textContent = `${ban.firstName} ${ban.lastName} · ${ban.banCategory || "Ban"}`;
+    details.onclick = () => {
+      selectedVisitorId = ban.id;
+      renderFoundProfile(visitorsList.find((v) => v.id === ban.id));
+    };
+
+    const due = document.createElement("span");
+    const isDue = ban.banUntil <= result.today;
+    due.className = isDue
+      ? "text-xs font-bold text-red-700"
+      : "text-xs text-gray-600";
+    due.textContent = isDue
+      ? `Review due since ${formatBanDate(ban.banUntil)}`
+      : `Ends ${formatBanDate(ban.banUntil)}`;
+
+    li.append(details, due);
+    list.appendChild(li);
+  });
+};
+
+/**
+ * Renders a visitor's past and current visits, newest first, and offers
+ * check-in or check-out depending on whether they are on site now.
+ *
+ * @param {Object} visitor - The visitor whose visits are shown.
+ */
+const renderVisitHistory = async (visitor) => {
+  const list = document.getElementById("visitHistoryList");
+  const result = await window.electronAPI.getVisits(visitor.id);
+  if (!isProfileShown(visitor.id)) return;
+  list.innerHTML = "";
+
+  if (!result.success) {
+    list.innerHTML =
+      '<li class="py-2 text-red-600">Could not load the visit history.</li>';
+    return;
+  }
+
+  const { visits, openVisit } = result;
+  const checkInButton = document.getElementById("profileCheckInButton");
+  const checkOutButton = document.getElementById("profileCheckOutButton");
+  const badgeButton = document.getElementById("profileBadgeButton");
+  checkInButton.classList.toggle("hidden", Boolean(openVisit));
+  checkOutButton.classList.toggle("hidden", !openVisit);
+  badgeButton.classList.toggle("hidden", !openVisit);
+  checkInButton.onclick = () => openCheckInModal(visitor);
+  checkOutButton.onclick = () => openVisit && checkOutVisit(openVisit.id);
+  badgeButton.onclick = () => printBadge(visitor.id);
+
+  if (visits.length === 0) {
+    list.innerHTML = '<li class="py-2 text-gray-500">No visits recorded.</li>';
+    return;
+  }
+
+  visits.forEach((visit) => {
+    const li = document.createElement("li");
+    li.className = "py-2 text-gray-700";
+    const timeOut = visit.timeOut
+      ? `out ${formatTime(visit.timeOut)} (${formatDuration(visit.timeIn, visit.timeOut)})`
+      : "still on site";
+    li.textContent = `${formatTimestamp(visit.timeIn)} · Flat ${visit.flatVisited || "N/A"} · ${timeOut} · checked in by ${visit.checkedInBy}`;
+    list.appendChild(li);
+  });
+};
+
+// Re-draws everything that shows visit data after a check-in or check-out.
+const refreshVisitViews = () => {
+  renderOnSitePanel();
+  if (selectedVisitorId) {
+    renderFoundProfile(visitorsList.find((v) => v.id === selectedVisitorId));
+  }
+};
+
+const openCheckInModal = (visitor) => {
+  if (isVisitorBanned(visitor)) {
+    showMessageBox("Banned visitors cannot be checked in.", "error");
+    return;
+  }
+  selectedVisitorId = visitor.id;
+  document.getElementById("checkInVisitorName").textContent =
+    `${visitor.firstName} ${visitor.lastName}`;
+  document.getElementById("checkInFlatInput").value = visitor.flatNumber || "";
+  document.getElementById("checkInModal").classList.remove("hidden");
+  document.getElementById("checkInFlatInput").focus();
+};
+
+const hideCheckInModal = () =>
+  document.getElementById("checkInModal").classList.add("hidden");
+
+const handleCheckInConfirm = async () => {
+  const flatVisited = document.getElementById("checkInFlatInput").value.trim();
+  if (!flatVisited) {
+    showMessageBox("Enter the flat being visited.", "error");
+    return;
+  }
+
+  const result = await window.electronAPI.checkIn({
+    visitorId: selectedVisitorId,
+    flatVisited,
+  });
+  hideCheckInModal();
+
+  if (!result.success) {
+    showMessageBox(result.error || "Check-in failed.", "error");
+    return;
+  }
+
+  refreshVisitViews();
+  showMessageBox("Visitor checked in.", "success");
+};
+
+/**
+ * Closes an open visit with the current time and staff member.
+ *
+ * @param {number} visitId - The id of the visits row to close.
+ */
+const checkOutVisit = async (visitId) => {
+  const result = await window.electronAPI.checkOut(visitId);
+  if (!result.success) {
+    showMessageBox("Check-out failed.", "error");
+    return;
+  }
+
+  refreshVisitViews();
+  showMessageBox("Visitor checked out.", "success");
+};
+
+// --- Printing ---
+
+// Saves a badge PDF for a visitor who is checked in.
+const printBadge = async (visitorId) => {
+  const result = await window.electronAPI.printBadge(visitorId);
+  if (result.success) {
+    showMessageBox("Badge saved.", "success");
+  } else if (!result.canceled) {
+    showMessageBox(result.error, "error");
+  }
+};
+
+// Saves the "do not admit" sheet of every banned visitor.
+const printWatchSheet = async () => {
+  const result = await window.electronAPI.printWatchSheet();
+  if (result.success) {
+    showMessageBox("Do not admit sheet saved.", "success");
+  } else if (!result.canceled) {
+    showMessageBox(result.error, "error");
+  }
+};
+
 // --- Modal Handlers ---
 
 const openBanModal = (visitorId) => {
   selectedVisitorId = visitorId;
   const visitorData = visitorsList.find((v) => v.id === visitorId);
   document.getElementById("modalNotes").value = visitorData?.notes || "";
+  document.getElementById("banCategory").value =
+    visitorData?.banCategory || BAN_CATEGORIES[0];
+  document.getElementById("banDuration").value = "6";
+  document.getElementById("banUntilInput").value = "";
+  document.getElementById("banUntilInput").classList.add("hidden");
+  document.getElementById("banOnExpiry").value = "review";
   document.getElementById("banModal").classList.remove("hidden");
 };
 
+// The end date the chosen length gives, as YYYY-MM-DD, or "" for no end date.
+const getBanEndDate = () => {
+  const duration = document.getElementById("banDuration").value;
+  if (duration === "none") return "";
+  if (duration === "date")
+    return document.getElementById("banUntilInput").value;
+  const end = new Date();
+  end.setMonth(end.getMonth() + Number(duration));
+  return toLocalDate(end);
+};
+
 const hideBanModal = () =>
   document.getElementById("banModal").classList.add("hidden");
 
@@ -212,11 +889,78 @@ const openUnbanModal = (visitorId) => {
   selectedVisitorId = visitorId;
   document.getElementById("unbanModal").classList.remove("hidden");
   document.getElementById("unbanPasswordInput").value = "";
+  document.getElementById("unbanReasonInput").value = "";
 };
 
 const hideUnbanModal = () =>
   document.getElementById("unbanModal").classList.add("hidden");
 
+const VISITOR_FORM_FIELDS = [
+  "firstName",
+  "lastName",
+  "flatNumber",
+  "phoneNumber",
+  "dateOfBirth",
+  "scannedIdPicUrl",
+];
+
+const showFormErrors = (errors) => {
+  const form = document.getElementById("visitorForm");
+  VISITOR_FORM_FIELDS.forEach((field) => {
+    const input = form.elements[field];
+    const errorText = form.querySelector(`[data-error-for="${field}"]`);
+    if (errors[field]) {
+      input.classList.add("input-invalid");
+      errorText.textContent = errors[field];
+      errorText.classList.remove("hidden");
+    } else {
+      input.classList.remove("input-invalid");
+      errorText.textContent = "";
+      errorText.classList.add("hidden");
+    }
+  });
+};
+
+/**
+ * Opens the visitor form, pre-filled when editing an existing profile.
+ *
+ * @param {Object|null} visitor - The visitor to edit, or null to add a new one.
+ */
+const openVisitorForm = (visitor = null) => {
+  const form = document.getElementById("visitorForm");
+  editingVisitorId = visitor ? visitor.id : null;
+
+  document.getElementById("visitorFormTitle").textContent = visitor
+    ? "Edit Profile"
+    : "Add Visitor";
+  VISITOR_FORM_FIELDS.forEach((field) => {
+    form.elements[field].value = visitor ? visitor[field] || "" : "";
+  });
+  showFormErrors({});
+  // Left out of the save until the current links are shown, so none are dropped.
+  form.elements.otherFlats.value = "";
+  form.elements.otherFlats.dataset.loaded = visitor ? "" : "true";
+  if (visitor) fillOtherFlats(visitor);
+
+  document.getElementById("visitorFormModal").classList.remove("hidden");
+  form.elements.firstName.focus();
+};
+
+// Fills in the flats a visitor is linked to besides their own.
+const fillOtherFlats = async (visitor) => {
+  const result = await window.electronAPI.getVisitorFlats(visitor.id);
+  if (!result.success || editingVisitorId !== visitor.id) return;
+  const ownFlat = normalizeFlatNumber(visitor.flatNumber);
+  const input = document.getElementById("visitorForm").elements.otherFlats;
+  input.value = result.flats.filter((flat) => flat !== ownFlat).join(", ");
+  input.dataset.loaded = "true";
+};
+
+const hideVisitorForm = () => {
+  editingVisitorId = null;
+  document.getElementById("visitorFormModal").classList.add("hidden");
+};
+
 // --- Event Handlers ---
 
 const handleSearch = (e) => {
@@ -227,207 +971,1964 @@ const handleSearch = (e) => {
 
   if (searchTerm.length === 0) {
     selectedVisitorId = null;
+    searchResults = [];
     renderFoundProfile(null);
     searchResultsContainer.classList.add("hidden");
     return;
   }
 
-  const searchTerms = searchTerm.split(/\s+/).filter((term) => term.length > 0);
-  const foundVisitors = visitorsList.filter((v) => {
-    return searchTerms.every(
-      (term) =>
-        (v.firstName && v.firstName.toLowerCase().includes(term)) ||
-        (v.lastName && v.lastName.toLowerCase().includes(term)),
-    );
-  });
+  const foundVisitors = rankVisitors(visitorsList, searchTerm);
 
-  const exactMatch = foundVisitors.find(
+  const exactMatches = foundVisitors.filter(
     (v) =>
-      `${v.firstName.toLowerCase()} ${v.lastName.toLowerCase()}` === searchTerm,
+      `${v.firstName} ${v.lastName}`.toLowerCase().replace(/\s+/g, " ") ===
+      searchTerm.replace(/\s+/g, " "),
   );
 
-  if (exactMatch) {
-    selectedVisitorId = exactMatch.id;
-    renderFoundProfile(exactMatch);
-    searchResultsContainer.classList.add("hidden");
+  // A full name that belongs to exactly one visitor opens their profile straight away.
+  if (exactMatches.length === 1) {
+    searchResults = [];
+    selectSearchResult(exactMatches[0]);
   } else {
     renderSearchResults(foundVisitors);
     renderFoundProfile(null);
   }
 };
 
-const updateVisitorStatus = async (visitorId, newStatus) => {
-  if (!visitorId) return;
+// Arrow keys move through the results, Enter opens one and Escape clears the search.
+const handleSearchKeydown = (e) => {
+  const resultsShown = !document
+    .getElementById("searchResultsContainer")
+    .classList.contains("hidden");
+
+  if (e.key === "Escape") {
+    e.target.value = "";
+    handleSearch(e);
+    return;
+  }
+  if (!resultsShown || searchResults.length === 0) return;
+
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    highlightSearchResult(
+      (activeResultIndex + step + searchResults.length) % searchResults.length,
+    );
+  } else if (e.key === "Enter" && searchResults[activeResultIndex]) {
+    e.preventDefault();
+    selectSearchResult(searchResults[activeResultIndex]);
+  }
+};
+
+/**
+ * Sends a ban or unban to the main process, which also writes the
+ * ban_history entry, then refreshes the profile.
+ *
+ * @param {Function} request - `electronAPI.banVisitor` or `electronAPI.unbanVisitor`.
+ * @param {Object} details - The visitorId and reason (and password for unbans).
+ * @returns {Promise<Object>} The result from the main process.
+ */
+const updateVisitorStatus = async (request, details) => {
+  if (!details.visitorId) return { success: false };
   try {
-    const isBanned = newStatus.isBanned ? 1 : 0;
-    const notes = newStatus.notes || "";
-    db.run("UPDATE visitors SET isBanned = ?, notes = ? WHERE id = ?", [
-      isBanned,
-      notes,
-      visitorId,
-    ]);
-    saveDbToLocalStorage();
-    await loadVisitorsFromDb();
-    renderFoundProfile(visitorsList.find((v) => v.id === visitorId));
-    showMessageBox("Status updated!", "success");
+    const result = await request(details);
+    if (result.success) {
+      await loadVisitorsFromDb();
+      renderFoundProfile(visitorsList.find((v) => v.id === details.visitorId));
+    }
+    return result;
   } catch (error) {
-    showMessageBox("Update failed.", "error");
+    console.error("Status update failed:", error);
+    return { success: false, error: "Update failed." };
+  }
+};
+
+const handleBanConfirm = async () => {
+  const notes = document.getElementById("modalNotes").value.trim();
+
+  if (!notes) {
+    showMessageBox("Enter a reason for the ban.", "error");
+    return;
+  }
+
+  const terms = {
+    category: document.getElementById("banCategory").value,
+    until: getBanEndDate(),
+    onExpiry: document.getElementById("banOnExpiry").value,
+  };
+  const termsError = validateBanTerms(terms);
+  if (termsError) {
+    showMessageBox(termsError, "error");
+    return;
+  }
+
+  // The main process checks the role and records the signed-in user as operator.
+  const result = await updateVisitorStatus(window.electronAPI.banVisitor, {
+    visitorId: selectedVisitorId,
+    reason: notes,
+    ...terms,
+  });
+  if (!result.success) {
+    showMessageBox(result.error || "Update failed.", "error");
+    return;
   }
+
+  hideBanModal();
+  checkBanExpiry();
+  showMessageBox("Status updated!", "success");
 };
 
 const handleUnbanConfirm = async () => {
-  if (passwordInput.value === UNBAN_PASSWORD) {
-    if (!selectedVisitorId) return;
+  const reason = document.getElementById("unbanReasonInput").value.trim();
 
-    await updateVisitorStatus(selectedVisitorId, {
-      isBanned: false,
-      notes: "",
-    });
+  if (!reason) {
+    showMessageBox("Enter a reason for lifting the ban.", "error");
+    return;
+  }
+
+  const result = await updateVisitorStatus(window.electronAPI.unbanVisitor, {
+    visitorId: selectedVisitorId,
+    reason,
+    password: passwordInput.value,
+  });
+  if (result.success) {
     hideUnbanModal();
+    checkBanExpiry();
 
     // security check
     passwordInput.setAttribute("type", "password");
     eyeIcon.classList.remove("text-green-500");
     showMessageBox("Visitor unbanned.", "success");
   } else {
-    showMessageBox("Incorrect password.", "error");
+    showMessageBox(result.error || "Update failed.", "error");
     passwordInput.value = "";
   }
 };
 
-// --- CSV Logic ---
+const handleVisitorFormSubmit = async (e) => {
+  e.preventDefault();
+  const form = document.getElementById("visitorForm");
 
-const parseCsv = (csvText) => {
-  const lines = csvText.trim().split("\n");
-  const headers = lines[0].split(",").map((h) => h.trim());
-  return lines.slice(1).map((line) => {
-    const values = line.split(",").map((v) => v.trim());
-    const visitor = {};
-    headers.forEach((h, index) => {
-      visitor[h === "visitorId" ? "id" : h] = values[index];
-    });
-    return visitor;
+  const values = {};
+  VISITOR_FORM_FIELDS.forEach((field) => {
+    values[field] = form.elements[field].value.trim();
   });
-};
 
-const handleImport = async (csvData) => {
-  if (!csvData) return;
-  const importedVisitors = parseCsv(csvData);
-  try {
-    db.run("BEGIN TRANSACTION;");
-    for (const v of importedVisitors) {
-      if (!v.firstName || !v.lastName) continue;
-      const visitorId = v.id || uuidv4();
-      const isBanned = v.isBanned === "true" || v.isBanned === "1" ? 1 : 0;
-      db.run(
-        `INSERT OR REPLACE INTO visitors 
-        (id, firstName, lastName, flatNumber, phoneNumber, dateOfBirth, scannedIdPicUrl, isBanned, notes, generalNotes) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          visitorId,
-          v.firstName,
-          v.lastName,
-          v.flatNumber,
-          v.phoneNumber,
-          v.dateOfBirth,
-          v.scannedIdPicUrl,
-          isBanned,
-          v.notes,
-          v.generalNotes || "",
-        ],
-      );
-    }
-    db.run("COMMIT;");
-    saveDbToLocalStorage();
-    await loadVisitorsFromDb();
-  } catch (error) {
-    db.run("ROLLBACK;");
-    console.error("CSV Import Error:", error);
+  const errors = validateVisitorFields(values);
+  showFormErrors(errors);
+  if (Object.keys(errors).length > 0) return;
+  // One spelling per flat, so "12 a" and "12A" are the same flat.
+  values.flatNumber = normalizeFlatNumber(values.flatNumber);
+  const otherFlats = form.elements.otherFlats.dataset.loaded
+    ? form.elements.otherFlats.value
+        .split(",")
+        .map(normalizeFlatNumber)
+        .filter(Boolean)
+    : undefined;
+
+  const isNew = !editingVisitorId;
+  const visitorId = editingVisitorId || uuidv4();
+
+  // The main process writes the database row, then that one row to the CSV.
+  const result = await window.electronAPI.saveVisitor({
+    id: visitorId,
+    ...values,
+    otherFlats,
+  });
+  if (!result.success) {
+    showMessageBox(result.error || "Could not save visitor.", "error");
+    return;
+  }
+
+  await loadVisitorsFromDb();
+  hideVisitorForm();
+  selectedVisitorId = visitorId;
+  document.getElementById("searchResultsContainer").classList.add("hidden");
+  renderFoundProfile(visitorsList.find((v) => v.id === visitorId));
+
+  if (result.csvError) {
+    showMessageBox(
+      `Saved in the app, but the CSV was not updated: ${result.csvError}`,
+      "error",
+    );
+  } else {
+    showMessageBox(isNew ? "Visitor added!" : "Profile updated!", "success");
   }
 };
 
-//handle export form db to csv
+// --- ID Photos ---
 
-const handleExport = async () => {
-  // 1. Get latest data from the DB
-  const res = db.exec("SELECT * FROM visitors");
-  const data = sqlQueryToObjects(res);
+// The live camera stream while the capture dialog is open.
+let cameraStream = null;
 
-  if (data.length === 0) {
-    showMessageBox("No data to export!", "error");
-    return;
+// The real camera. Tests pass their own stream provider to `openCameraModal` instead.
+const requestCameraStream = () =>
+  navigator.mediaDevices.getUserMedia({
+    video: { width: { ideal: 1280 }, height: { ideal: 720 } },
+    audio: false,
+  });
+
+const stopCamera = () => {
+  if (cameraStream) {
+    cameraStream.getTracks().forEach((track) => track.stop());
+    cameraStream = null;
   }
+  document.getElementById("cameraPreview").srcObject = null;
+};
+
+const hideCameraModal = () => {
+  stopCamera();
+  document.getElementById("cameraModal").classList.add("hidden");
+};
+
+/**
+ * Shows a live preview for taking the open visitor's ID photo.
+ *
+ * @param {Function} [getStream] - Resolves to a MediaStream. Defaults to the camera;
+ *   a test can pass a fake one, e.g. `() => Promise.resolve(canvas.captureStream())`.
+ */
+const openCameraModal = async (getStream = requestCameraStream) => {
+  const error = document.getElementById("cameraError");
+  const captureButton = document.getElementById("cameraCaptureButton");
+  error.classList.add("hidden");
+  captureButton.disabled = true;
+  document.getElementById("cameraModal").classList.remove("hidden");
 
-  // 2. Loop through and update each visitor in the CSV file
   try {
-    for (const visitor of data) {
-      await window.electronAPI.updateAndSaveCsvFile(visitor);
-    }
-    showMessageBox("CSV updated successfully!", "success");
+    cameraStream = await getStream();
+    const video = document.getElementById("cameraPreview");
+    video.srcObject = cameraStream;
+    await video.play();
+    captureButton.disabled = false;
   } catch (err) {
-    console.error("Export failed:", err);
-    showMessageBox("Export failed.", "error");
+    stopCamera();
+    error.textContent = `The camera could not be started: ${err.message}`;
+    error.classList.remove("hidden");
   }
 };
 
-// --- Initialization ---
+/**
+ * Grabs the frame the video is showing as JPEG bytes.
+ *
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<Uint8Array>}
+ */
+const captureFrame = (video) =>
+  new Promise((resolve, reject) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    if (!canvas.width || !canvas.height) {
+      reject(new Error("The camera has not started yet."));
+      return;
+    }
+    canvas.getContext("2d").drawImage(video, 0, 0);
+    canvas.toBlob(
+      async (blob) => {
+        if (!blob) {
+          reject(new Error("The photo could not be captured."));
+          return;
+        }
+        resolve(new Uint8Array(await blob.arrayBuffer()));
+      },
+      "image/jpeg",
+      0.9,
+    );
+  });
 
-const initializeDb = async () => {
-  try {
-    // 1. Init SQL.js first
-    const SQL = await initSqlJs({
-      locateFile: (file) =>
-        `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.6.2/${file}`,
+// Shows the profile with its new photo, or why it was not saved.
+const handlePhotoResult = async (result) => {
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return false;
+  }
+
+  await loadVisitorsFromDb();
+  photoVersion += 1;
+  renderFoundProfile(visitorsList.find((v) => v.id === result.visitor.id));
+  if (result.csvError) {
+    showMessageBox(
+      `Photo saved, but the CSV was not updated: ${result.csvError}`,
+      "error",
+    );
+  } else {
+    showMessageBox("Photo saved.", "success");
+  }
+  return true;
+};
+
+const handleCapturePhoto = async () => {
+  let data;
+  try {
+    data = await captureFrame(document.getElementById("cameraPreview"));
+  } catch (err) {
+    showMessageBox(err.message, "error");
+    return;
+  }
+  const result = await window.electronAPI.savePhotoCapture(
+    selectedVisitorId,
+    data,
+  );
+  if (await handlePhotoResult(result)) hideCameraModal();
+};
+
+const handleAttachPhoto = async () => {
+  const result = await window.electronAPI.attachPhotoFile(selectedVisitorId);
+  if (!result.canceled) await handlePhotoResult(result);
+};
+
+// --- CSV Sync ---
+
+const FIELD_LABELS = {
+  firstName: "First Name",
+  lastName: "Last Name",
+  flatNumber: "Flat",
+  phoneNumber: "Phone",
+  dateOfBirth: "Date of Birth",
+  scannedIdPicUrl: "ID Photo",
+  isBanned: "Banned",
+  notes: "Ban Notes",
+  generalNotes: "General Notes",
+};
+
+const CONFLICT_CHOICES = [
+  { value: "app", label: "Keep app" },
+  { value: "file", label: "Keep file" },
+  { value: "merge", label: "Merge notes" },
+];
+
+const formatFieldValue = (field, value) => {
+  if (field === "isBanned") {
+    return value === 1 || value === "1" || value === "true" ? "Yes" : "No";
+  }
+  return value ? String(value) : "(empty)";
+};
+
+// Builds one conflict card: the differing fields side by side and the three choices.
+const renderConflict = (conflict) => {
+  const card = document.createElement("div");
+  card.className = "border border-gray-200 rounded-lg p-4 space-y-3";
+
+  const name = document.createElement("p");
+  name.className = "font-semibold text-gray-800";
+  name.textContent = `${conflict.app.firstName} ${conflict.app.lastName}`;
+
+  const table = document.createElement("table");
+  table.className = "w-full text-sm text-left";
+  const head = table.createTHead().insertRow();
+  ["Field", "In the app", "In the file"].forEach((label) => {
+    const th = document.createElement("th");
+    th.className = "py-1 pr-2 text-gray-500 font-medium";
+    th.textContent = label;
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  conflict.fields.forEach((field) => {
+    const row = body.insertRow();
+    [
+      FIELD_LABELS[field] || field,
+      formatFieldValue(field, conflict.app[field]),
+      formatFieldValue(field, conflict.file[field]),
+    ].forEach((value) => {
+      const cell = row.insertCell();
+      cell.className = "py-1 pr-2 align-top break-words";
+      cell.textContent = value;
     });
+  });
 
-    const storedDb = localStorage.getItem("sqliteDb");
-    db = storedDb
-      ? new SQL.Database(new Uint8Array(JSON.parse(storedDb)))
-      : new SQL.Database();
-
-    db.run(`
-      CREATE TABLE IF NOT EXISTS visitors (
-          id TEXT PRIMARY KEY,
-          firstName TEXT,
-          lastName TEXT,
-          flatNumber TEXT,
-          phoneNumber TEXT,
-          dateOfBirth TEXT,
-          scannedIdPicUrl TEXT,
-          isBanned INTEGER,
-          notes TEXT,
-          generalNotes TEXT
-      );
-    `);
+  const choices = document.createElement("div");
+  choices.className = "flex space-x-4 text-sm";
+  CONFLICT_CHOICES.forEach((choice) => {
+    const label = document.createElement("label");
+    label.className = "flex items-center space-x-1 cursor-pointer";
+    const input = document.createElement("input");
+    input.type = "radio";
+    input.name = `conflict-${conflict.id}`;
+    input.value = choice.value;
+    const text = document.createElement("span");
+    text.textContent = choice.label;
+    label.append(input, text);
+    choices.appendChild(label);
+  });
+
+  card.append(name, table, choices);
+  return card;
+};
+
+/**
+ * Shows the conflict-resolution screen and waits for the user's decisions.
+ *
+ * @param {Object[]} conflicts - Conflicts from the sync plan.
+ * @returns {Promise<Object|null>} Choice per visitor id, or null if cancelled.
+ */
+const resolveConflicts = (conflicts) =>
+  new Promise((resolve) => {
+    const modal = document.getElementById("syncModal");
+    const list = document.getElementById("syncConflictList");
+    list.innerHTML = "";
+    conflicts.forEach((conflict) => list.appendChild(renderConflict(conflict)));
+    document.getElementById("syncConflictCount").textContent = conflicts.length;
+
+    const chooseAll = (value) => {
+      list
+        .querySelectorAll(`input[type="radio"][value="${value}"]`)
+        .forEach((input) => {
+          input.checked = true;
+        });
+    };
+    document.getElementById("syncKeepAllAppButton").onclick = () =>
+      chooseAll("app");
+    document.getElementById("syncKeepAllFileButton").onclick = () =>
+      chooseAll("file");
+
+    document.getElementById("syncCancelButton").onclick = () => {
+      modal.classList.add("hidden");
+      resolve(null);
+    };
+    document.getElementById("syncApplyButton").onclick = () => {
+      const resolutions = {};
+      conflicts.forEach((conflict) => {
+        const checked = list.querySelector(
+          `input[name="conflict-${conflict.id}"]:checked`,
+        );
+        if (checked) resolutions[conflict.id] = checked.value;
+      });
+      if (Object.keys(resolutions).length < conflicts.length) {
+        showMessageBox("Choose an option for every conflict.", "error");
+        return;
+      }
+      modal.classList.add("hidden");
+      resolve(resolutions);
+    };
+
+    modal.classList.remove("hidden");
+  });
+
+// Only one sync runs at a time; a CSV change during one triggers another after it.
+let syncInProgress = false;
+let csvChangedDuringSync = false;
+
+/**
+ * Plans a two-way sync with the open CSV, lets the user settle any
+ * conflicts, then applies it. Nothing is written before that.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.automatic] - Started by a change to the file rather than
+ *   the user; stays quiet when nothing changed.
+ * @returns {Promise<boolean>} Whether the sync was applied.
+ */
+const runSync = async ({ automatic = false } = {}) => {
+  if (syncInProgress) {
+    if (automatic) csvChangedDuringSync = true;
+    else showMessageBox("A sync is already in progress.", "error");
+    return false;
+  }
+  syncInProgress = true;
+  try {
+    return await syncWithCsv(automatic);
+  } finally {
+    syncInProgress = false;
+    if (csvChangedDuringSync) {
+      csvChangedDuringSync = false;
+      setTimeout(() => runSync({ automatic: true }), 0);
+    }
+  }
+};
+
+const syncWithCsv = async (automatic) => {
+  const plan = await window.electronAPI.planSync();
+  if (!plan.success) {
+    showMessageBox(plan.error, "error");
+    return false;
+  }
+
+  // App-side changes only count for those allowed to write them to the file.
+  const nothingToDo =
+    plan.toApp === 0 &&
+    plan.conflicts.length === 0 &&
+    (plan.toFile === 0 || !plan.canWriteFile);
+  if (automatic && nothingToDo) {
+    await window.electronAPI.cancelSync();
+    return false;
+  }
+
+  let resolutions = {};
+  if (plan.conflicts.length > 0 && plan.canWriteFile) {
+    resolutions = await resolveConflicts(plan.conflicts);
+    if (!resolutions) {
+      await window.electronAPI.cancelSync();
+      showMessageBox("Sync cancelled. Nothing was written.", "error");
+      return false;
+    }
+  }
+
+  const result = await window.electronAPI.applySync(resolutions);
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return false;
+  }
+
+  // Snapshot of the open profile, to tell whether the file changed it.
+  const shownBefore = JSON.stringify(
+    visitorsList.find((v) => v.id === selectedVisitorId),
+  );
+  await loadVisitorsFromDb();
+  const shownVisitor = visitorsList.find((v) => v.id === selectedVisitorId);
+  if (selectedVisitorId) {
+    renderFoundProfile(shownVisitor);
+  }
+
+  const summary = automatic
+    ? `The CSV was changed outside the app: ${result.toApp} visitors updated.`
+    : `Sync complete: ${result.toApp} updated from the CSV, ${result.toFile} written to it.`;
+  if (shownVisitor && JSON.stringify(shownVisitor) !== shownBefore) {
+    showMessageBox(
+      `${shownVisitor.firstName} ${shownVisitor.lastName}'s profile was changed in the CSV by someone else. The details shown are now up to date.`,
+      "success",
+    );
+  } else {
+    showMessageBox(
+      result.waiting > 0
+        ? `${summary} ${result.waiting} changes are waiting for a supervisor to sync.`
+        : summary,
+      "success",
+    );
+  }
+  if (plan.skipped.length > 0) showImportReport(plan.skipped);
+  return true;
+};
+
+/**
+ * Lists the CSV rows the sync could not read, with the reason for each.
+ *
+ * @param {Object[]} skipped - `row` and `reason` for each skipped row.
+ */
+const showImportReport = (skipped) => {
+  const list = document.getElementById("importReportList");
+  list.innerHTML = "";
+  skipped.forEach(({ row, reason }) => {
+    const li = document.createElement("li");
+    li.className = "py-2 flex space-x-3 text-sm";
+    const rowNumber = document.createElement("span");
+    rowNumber.className = "font-semibold text-gray-800 whitespace-nowrap";
+    rowNumber.textContent = `Row ${row}`;
+    const text = document.createElement("span");
+    text.className = "text-gray-600";
+    text.textContent = reason;
+    li.append(rowNumber, text);
+    list.appendChild(li);
+  });
+  document.getElementById("importReportCount").textContent = skipped.length;
+  document.getElementById("importReportModal").classList.remove("hidden");
+};
+
+// --- Import Wizard ---
+
+// The file being imported, as returned by `openImport`.
+let importFile = null;
+
+// Reads the source column chosen for each field; unmapped fields are left out.
+const getImportMapping = () => {
+  const mapping = {};
+  document.querySelectorAll("#importMappingList select").forEach((select) => {
+    if (select.value) mapping[select.name] = select.value;
+  });
+  return mapping;
+};
+
+// Shows the first rows of the file as they would be imported with the current mapping.
+const renderImportPreview = () => {
+  const mapping = getImportMapping();
+  const fields = importFile.fields.filter((field) => mapping[field]);
+  const table = document.getElementById("importPreviewTable");
+  table.innerHTML = "";
+
+  const head = table.createTHead().insertRow();
+  fields.forEach((field) => {
+    const th = document.createElement("th");
+    th.className = "p-2 text-gray-500 font-medium bg-gray-50";
+    th.textContent = FIELD_LABELS[field];
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  importFile.preview.forEach((record) => {
+    const row = body.insertRow();
+    fields.forEach((field) => {
+      const cell = row.insertCell();
+      cell.className = "p-2 border-t border-gray-100";
+      cell.textContent = record[mapping[field]];
+    });
+  });
+};
+
+const showImportStep = (step) => {
+  const reviewing = step === "review";
+  document
+    .getElementById("importMapStep")
+    .classList.toggle("hidden", reviewing);
+  document
+    .getElementById("importReviewStep")
+    .classList.toggle("hidden", !reviewing);
+  document
+    .getElementById("importCheckButton")
+    .classList.toggle("hidden", reviewing);
+  document
+    .getElementById("importBackButton")
+    .classList.toggle("hidden", !reviewing);
+  document
+    .getElementById("importCommitButton")
+    .classList.toggle("hidden", !reviewing);
+};
+
+// Asks for a file, then shows one column picker per visitor field and a preview.
+const openImportWizard = async () => {
+  const result = await window.electronAPI.openImport();
+  if (!result.success) {
+    if (!result.canceled) showMessageBox(result.error, "error");
+    return;
+  }
+  importFile = result;
+
+  document.getElementById("importSummary").textContent =
+    `${result.fileName}: ${result.total} rows. Choose the column that holds each visitor detail.`;
+  document
+    .getElementById("importRememberedNote")
+    .classList.toggle("hidden", !result.remembered);
+
+  const list = document.getElementById("importMappingList");
+  list.innerHTML = "";
+  result.fields.forEach((field) => {
+    const label = document.createElement("label");
+    label.className = "flex flex-col space-y-1";
+    const name = document.createElement("span");
+    name.className = "font-semibold text-gray-700";
+    name.textContent = FIELD_LABELS[field];
+    const select = document.createElement("select");
+    select.name = field;
+    select.className =
+      "p-2 rounded-md border-2 border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500";
+    ["", ...result.headers].forEach((header) => {
+      const option = document.createElement("option");
+      option.value = header;
+      option.textContent = header || "(not in this file)";
+      select.appendChild(option);
+    });
+    select.value = result.mapping[field] || "";
+    select.addEventListener("change", renderImportPreview);
+    label.append(name, select);
+    list.appendChild(label);
+  });
+
+  renderImportPreview();
+  showImportStep("map");
+  document.getElementById("importModal").classList.remove("hidden");
+};
+
+const hideImportWizard = async () => {
+  document.getElementById("importModal").classList.add("hidden");
+  importFile = null;
+  await window.electronAPI.cancelImport();
+};
+
+// Builds one entry of the review list.
+const renderImportIssue = (row, name, message) => {
+  const li = document.createElement("li");
+  li.className = "py-2 flex space-x-3";
+  const rowNumber = document.createElement("span");
+  rowNumber.className = "font-semibold text-gray-800 whitespace-nowrap";
+  rowNumber.textContent = `Row ${row}`;
+  const text = document.createElement("span");
+  text.className = "text-gray-600";
+  text.textContent = name ? `${name}: ${message}` : message;
+  li.append(rowNumber, text);
+  return li;
+};
+
+// Validates every row with the chosen mapping and lists what would be left out.
+const handleImportCheck = async () => {
+  const result = await window.electronAPI.checkImport(getImportMapping());
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+
+  const issues = [
+    ...result.skipped.map((s) => ({ row: s.row, name: "", message: s.reason })),
+    ...result.errors.map((e) => ({
+      row: e.row,
+      name: e.name,
+      message: e.messages.join(" "),
+    })),
+    ...result.duplicates.map((d) => ({
+      row: d.row,
+      name: d.name,
+      message: d.reason,
+    })),
+  ].sort((a, b) => a.row - b.row);
+
+  document.getElementById("importReviewSummary").textContent =
+    `${result.ready} visitors are ready to import. ` +
+    `${result.errors.length + result.skipped.length} rows have errors and ` +
+    `${result.duplicates.length} are duplicates; these are left out.`;
+  const list = document.getElementById("importIssueList");
+  list.innerHTML = "";
+  issues.forEach((issue) =>
+    list.appendChild(renderImportIssue(issue.row, issue.name, issue.message)),
+  );
+
+  const commitButton = document.getElementById("importCommitButton");
+  commitButton.textContent = `Import ${result.ready} Visitors`;
+  commitButton.disabled = result.ready === 0;
+  showImportStep("review");
+};
+
+// Adds the checked rows, then syncs so they reach the CSV too.
+const handleImportCommit = async () => {
+  const result = await window.electronAPI.commitImport(getImportMapping());
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+  document.getElementById("importModal").classList.add("hidden");
+  importFile = null;
+
+  await loadVisitorsFromDb();
+  if (await runSync()) {
+    showMessageBox(
+      `Imported ${result.imported} visitors and synced the CSV.`,
+      "success",
+    );
+  }
+};
+
+// --- CSV File ---
+
+/**
+ * Switches the app to a newly opened CSV: its photos folder, the header and
+ * a sync with the database.
+ *
+ * @param {Object} file - A successful result from one of the file IPC calls.
+ */
+const activateCsvFile = async (file) => {
+  document.getElementById("currentFileName").textContent = file.fileName;
+  document.getElementById("currentFileName").title = file.filePath;
+  await setupPaths();
+  if (file.purged > 0) {
+    await forgetErasedVisitors();
+    showMessageBox(
+      `${file.purged} visitors past the retention period were erased.`,
+      "success",
+    );
+  }
+  await runSync();
+};
+
+// Asks for a CSV with the system dialog; cancelling keeps the current file.
+const chooseCsvFile = async () => {
+  const result = await window.electronAPI.chooseCsvFile();
+  if (result.success) {
+    hideFileModal();
+    await activateCsvFile(result);
+  } else if (!result.canceled) {
+    showMessageBox(result.error, "error");
+  }
+};
+
+const hideFileModal = () =>
+  document.getElementById("fileModal").classList.add("hidden");
+
+// Lists the recent files, the open one marked, with a Browse button for others.
+const openFileModal = async () => {
+  const result = await window.electronAPI.listRecentFiles();
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+
+  const list = document.getElementById("recentFileList");
+  list.innerHTML = "";
+  if (result.files.length === 0) {
+    list.innerHTML =
+      '<li class="py-2 text-sm text-gray-500">No files opened yet.</li>';
+  }
+  result.files.forEach((file) => {
+    const li = document.createElement("li");
+    const button = document.createElement("button");
+    button.className =
+      "w-full text-left py-2 px-2 rounded hover:bg-gray-100 transition-colors";
+    const name = document.createElement("p");
+    name.className = "font-semibold text-gray-800";
+    name.textContent = file.current ? `${file.fileName} (open)` : file.fileName;
+    const folder = document.createElement("p");
+    folder.className = "text-xs text-gray-500 break-all";
+    folder.textContent = file.folder;
+    button.append(name, folder);
+    button.disabled = file.current;
+    button.addEventListener("click", async () => {
+      const opened = await window.electronAPI.openRecentFile(file.filePath);
+      if (!opened.success) {
+        showMessageBox(opened.error, "error");
+        await openFileModal();
+        return;
+      }
+      hideFileModal();
+      await activateCsvFile(opened);
+    });
+    li.appendChild(button);
+    list.appendChild(li);
+  });
+
+  document.getElementById("fileModal").classList.remove("hidden");
+};
+
+// --- Live Refresh ---
+
+/**
+ * Reacts to changes made outside the app: a changed CSV is synced in, and
+ * a changed photo reloads the open profile when it is that visitor's.
+ *
+ * @param {Object} change - `kind` ("csv" or "photos") and, for photos, the changed `names`.
+ */
+const handleFilesChanged = async (change) => {
+  if (change.kind === "csv") {
+    await runSync({ automatic: true });
+    return;
+  }
+
+  photoVersion += 1;
+  const shown = visitorsList.find((v) => v.id === selectedVisitorId);
+  const photo = shown && (shown.scannedIdPicUrl || "").trim();
+  if (photo && (change.names.length === 0 || change.names.includes(photo))) {
+    renderFoundProfile(shown);
+  }
+};
+
+// --- CSV Backups ---
+
+const hideBackupModal = () =>
+  document.getElementById("backupModal").classList.add("hidden");
+
+// Lists the CSV's backups, newest first, with the newest preselected.
+const openBackupModal = async () => {
+  const result = await window.electronAPI.listBackups();
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+  if (result.backups.length === 0) {
+    showMessageBox("There are no backups of this CSV file yet.", "error");
+    return;
+  }
+
+  const list = document.getElementById("backupList");
+  list.innerHTML = "";
+  result.backups.forEach((backup, index) => {
+    const li = document.createElement("li");
+    const label = document.createElement("label");
+    label.className = "py-2 flex items-center space-x-2 text-sm cursor-pointer";
+    const input = document.createElement("input");
+    input.type = "radio";
+    input.name = "backup";
+    input.value = backup.name;
+    input.checked = index === 0;
+    const when = document.createElement("span");
+    when.className = "flex-1";
+    when.textContent = formatTimestamp(backup.createdAt);
+    const size = document.createElement("span");
+    size.className = "text-gray-500";
+    size.textContent = `${Math.max(1, Math.round(backup.size / 1024))} KB`;
+    label.append(input, when, size);
+    li.appendChild(label);
+    list.appendChild(li);
+  });
+
+  document.getElementById("backupModal").classList.remove("hidden");
+};
+
+// Puts the chosen backup back in place, then syncs it into the app.
+const handleRestoreBackup = async () => {
+  const checked = document.querySelector(
+    '#backupList input[name="backup"]:checked',
+  );
+  if (!checked) return;
+
+  const result = await window.electronAPI.restoreBackup(checked.value);
+  hideBackupModal();
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+  await runSync();
+};
+
+// --- Save As Export ---
+
+// Every column a visitor export can include, in file order.
+const EXPORT_COLUMN_LABELS = {
+  id: "Visitor ID",
+  ...FIELD_LABELS,
+  banCategory: "Ban Category",
+  banUntil: "Ban Ends",
+  banOnExpiry: "When Ban Ends",
+  updatedAt: "Last Changed",
+};
+
+// Converts a date input's local day to an ISO timestamp, moved on by `dayOffset` days.
+const startOfDayIso = (dateValue, dayOffset = 0) => {
+  const date = new Date(`${dateValue}T00:00`);
+  date.setDate(date.getDate() + dayOffset);
+  return date.toISOString();
+};
+
+const hideExportModal = () =>
+  document.getElementById("exportModal").classList.add("hidden");
+
+const openExportModal = () => {
+  const form = document.getElementById("exportForm");
+  form.reset();
+
+  const list = document.getElementById("exportColumnList");
+  list.innerHTML = "";
+  Object.entries(EXPORT_COLUMN_LABELS).forEach(([column, text]) => {
+    const label = document.createElement("label");
+    label.className = "flex items-center space-x-1 cursor-pointer";
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.name = "columns";
+    input.value = column;
+    input.checked = true;
+    const span = document.createElement("span");
+    span.textContent = text;
+    label.append(input, span);
+    list.appendChild(label);
+  });
+
+  document.getElementById("exportModal").classList.remove("hidden");
+};
+
+// Collects the chosen columns and filters, then lets main ask where to save.
+const handleExportSubmit = async (e) => {
+  e.preventDefault();
+  const form = e.target;
+  const { visitedFrom, visitedTo } = form.elements;
+
+  const result = await window.electronAPI.exportVisitors({
+    columns: [...form.querySelectorAll('input[name="columns"]:checked')].map(
+      (input) => input.value,
+    ),
+    status: form.elements.status.value,
+    flat: form.elements.flat.value.trim(),
+    // The "to" day is included, so the range ends at the start of the next day.
+    visitedFrom: visitedFrom.value ? startOfDayIso(visitedFrom.value) : null,
+    visitedTo: visitedTo.value ? startOfDayIso(visitedTo.value, 1) : null,
+    format: form.elements.format.value,
+  });
+
+  if (result.success) {
+    hideExportModal();
+    showMessageBox(`Exported ${result.count} visitors.`, "success");
+  } else if (!result.canceled) {
+    showMessageBox(result.error || "Export failed.", "error");
+  }
+};
+
+// Exports every ban/unban event, oldest first, with the visitor's name for context.
+const handleExportAuditLog = async () => {
+  const result = await window.electronAPI.exportAuditLog();
+  if (result.success) {
+    showMessageBox(`Audit log exported (${result.count} entries).`, "success");
+  } else if (!result.canceled) {
+    showMessageBox(result.error || "Audit log export failed.", "error");
+  }
+};
+
+// --- Startup ---
+
+/**
+ * Replaces whatever screen is showing with the startup error and its message.
+ *
+ * @param {string} message - What went wrong, shown to the user.
+ */
+const showStartupError = (message) => {
+  ["loading", "loginScreen", "app"].forEach((id) =>
+    document.getElementById(id).classList.add("hidden"),
+  );
+  document.getElementById("startupErrorMessage").textContent = message;
+  document.getElementById("startupError").classList.remove("hidden");
+};
+
+// Resolves when the user presses Retry on the startup error screen.
+const waitForRetry = () =>
+  new Promise((resolve) => {
+    document.getElementById("startupRetryButton").onclick = () => {
+      document.getElementById("startupError").classList.add("hidden");
+      document.getElementById("loading").classList.remove("hidden");
+      resolve();
+    };
+  });
+
+/**
+ * Asks the main process to open the database file, offering a retry
+ * for as long as it fails (e.g. a locked or unreadable file).
+ */
+const openDatabase = async () => {
+  let result = await window.electronAPI.openDatabase();
+  while (!result.success) {
+    showStartupError(
+      `The visitor database could not be opened: ${result.error}`,
+    );
+    await waitForRetry();
+    result = await window.electronAPI.openDatabase();
+  }
+};
+
+// --- Data Protection ---
+
+const DATA_PROTECTION_ACTIONS = {
+  erase: "Erased",
+  purge: "Erased by retention",
+  access: "Subject access export",
+  policy: "Retention changed",
+};
+
+const openEraseModal = (visitor) => {
+  selectedVisitorId = visitor.id;
+  document.getElementById("eraseVisitorName").textContent =
+    `${visitor.firstName} ${visitor.lastName}`;
+  document.getElementById("eraseReasonInput").value = "";
+  document.getElementById("erasePasswordInput").value = "";
+  document.getElementById("eraseModal").classList.remove("hidden");
+};
+
+const hideEraseModal = () =>
+  document.getElementById("eraseModal").classList.add("hidden");
+
+// Clears the profile and search once visitors are gone from the app.
+const forgetErasedVisitors = async () => {
+  await loadVisitorsFromDb();
+  if (!visitorsList.some((v) => v.id === selectedVisitorId)) {
+    selectedVisitorId = null;
+    document.getElementById("search").value = "";
+    searchResults = [];
+    document.getElementById("searchResultsContainer").classList.add("hidden");
+    renderFoundProfile(null);
+  }
+};
+
+const handleEraseConfirm = async () => {
+  const reason = document.getElementById("eraseReasonInput").value.trim();
+  if (!reason) {
+    showMessageBox("Enter a reason for the erasure.", "error");
+    return;
+  }
+
+  const result = await window.electronAPI.eraseVisitor({
+    visitorId: selectedVisitorId,
+    reason,
+    password: document.getElementById("erasePasswordInput").value,
+  });
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    document.getElementById("erasePasswordInput").value = "";
+    return;
+  }
+
+  hideEraseModal();
+  await forgetErasedVisitors();
+  if (result.csvError) {
+    showMessageBox(
+      `Erased from the app, but not from the CSV: ${result.csvError}`,
+      "error",
+    );
+  } else {
+    showMessageBox("Visitor erased.", "success");
+  }
+};
+
+const handleSubjectExport = async (visitorId) => {
+  const result = await window.electronAPI.exportSubjectData(visitorId);
+  if (result.success) {
+    showMessageBox("Subject access export saved.", "success");
+  } else if (!result.canceled) {
+    showMessageBox(result.error, "error");
+  }
+};
+
+const hideRetentionModal = () =>
+  document.getElementById("retentionModal").classList.add("hidden");
+
+// Shows the retention period, who is due for erasure under it and the log.
+const openRetentionModal = async () => {
+  const result = await window.electronAPI.getRetention();
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+
+  document.getElementById("retentionForm").elements.months.value =
+    result.months || "";
+  document.getElementById("retentionDueCount").textContent = result.due.length;
+  document.getElementById("retentionApplyButton").disabled =
+    result.due.length === 0;
+
+  const dueList = document.getElementById("retentionDueList");
+  dueList.innerHTML = "";
+  result.due.forEach((visitor) => {
+    const li = document.createElement("li");
+    li.className = "py-1 flex justify-between";
+    const name = document.createElement("span");
+    name.textContent = `${visitor.firstName} ${visitor.lastName}`;
+    const lastSeen = document.createElement("span");
+    lastSeen.className = "text-gray-500";
+    lastSeen.textContent = `Last seen ${formatTimestamp(visitor.lastSeen)}`;
+    li.append(name, lastSeen);
+    dueList.appendChild(li);
+  });
+
+  const logList = document.getElementById("dataProtectionLogList");
+  logList.innerHTML = "";
+  result.log.forEach((entry) => {
+    const li = document.createElement("li");
+    li.className = "py-1";
+    li.textContent = `${formatTimestamp(entry.timestamp)} - ${
+      DATA_PROTECTION_ACTIONS[entry.action]
+    } by ${entry.operator}${entry.detail ? `: ${entry.detail}` : ""}`;
+    logList.appendChild(li);
+  });
+
+  document.getElementById("retentionModal").classList.remove("hidden");
+};
+
+const handleRetentionSubmit = async (e) => {
+  e.preventDefault();
+  const value = e.target.elements.months.value.trim();
+  const result = await window.electronAPI.setRetention(
+    value ? Number(value) : null,
+  );
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+  showMessageBox("Retention period saved.", "success");
+  await openRetentionModal();
+};
+
+const handleRetentionApply = async () => {
+  const result = await window.electronAPI.applyRetention();
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+  await forgetErasedVisitors();
+  await openRetentionModal();
+  if (result.csvError) {
+    showMessageBox(
+      `${result.count} visitors erased from the app, but not from the CSV: ${result.csvError}`,
+      "error",
+    );
+  } else {
+    showMessageBox(`${result.count} visitors erased.`, "success");
+  }
+};
+
+// --- Flat Directory ---
+
+// From this many banned visitors a flat is flagged in the directory.
+const FLAT_BAN_WARNING = 2;
+
+let flatsDirectory = [];
+
+const hideFlatsModal = () =>
+  document.getElementById("flatsModal").classList.add("hidden");
+
+// Lists the flats matching the filter by number or resident name.
+const renderFlatsList = () => {
+  const filter = document.getElementById("flatsFilter").value.trim();
+  const number = normalizeFlatNumber(filter);
+  const list = document.getElementById("flatsList");
+  list.innerHTML = "";
+
+  flatsDirectory
+    .filter(
+      (flat) =>
+        !filter ||
+        (number && flat.number.startsWith(number)) ||
+        flat.residents.toLowerCase().includes(filter.toLowerCase()),
+    )
+    .forEach((flat) => {
+      const li = document.createElement("li");
+      const button = document.createElement("button");
+      button.className =
+        "w-full py-2 flex justify-between text-left hover:bg-gray-50";
+      const name = document.createElement("span");
+      name.textContent = `Flat ${flat.number}${
+        flat.residents ? ` · ${flat.residents.split("\n")[0]}` : ""
+      }`;
+      const counts = document.createElement("span");
+      counts.className =
+        flat.banned >= FLAT_BAN_WARNING
+          ? "font-bold text-red-700"
+          : "text-gray-500";
+      counts.textContent = flat.banned
+        ? `${flat.visitors} (${flat.banned} banned)`
+        : `${flat.visitors}`;
+      button.append(name, counts);
+      button.onclick = () => showFlat(flat.number);
+      li.appendChild(button);
+      list.appendChild(li);
+    });
+};
+
+/**
+ * Shows one flat: its residents and notes, and every visitor linked to it
+ * with their status. Clicking a visitor opens their profile.
+ *
+ * @param {string} number - The flat number, in any spelling.
+ */
+const showFlat = async (number) => {
+  const result = await window.electronAPI.getFlat(number);
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+  const { flat } = result;
+
+  document.getElementById("flatDetail").classList.remove("hidden");
+  document.getElementById("flatDetailNumber").textContent = flat.number;
+  const form = document.getElementById("flatForm");
+  form.dataset.number = flat.number;
+  form.elements.residents.value = flat.residents || "";
+  form.elements.notes.value = flat.notes || "";
+
+  const banned = flat.visitors.filter(isVisitorBanned).length;
+  const warning = document.getElementById("flatBannedWarning");
+  warning.textContent = `${banned} banned visitors are linked to this flat.`;
+  warning.classList.toggle("hidden", banned < FLAT_BAN_WARNING);
+
+  const list = document.getElementById("flatVisitorsList");
+  list.innerHTML = "";
+  if (flat.visitors.length === 0) {
+    list.innerHTML =
+      '<li class="py-2 text-gray-500">No visitors are linked to this flat.</li>';
+  }
+  flat.visitors.forEach((visitor) => {
+    const li = document.createElement("li");
+    li.className = "py-2 flex justify-between";
+    const name = document.createElement("button");
+    name.className = "text-left hover:underline";
+    name.textContent = `${visitor.firstName} ${visitor.lastName}`;
+    name.onclick = () => {
+      hideFlatsModal();
+      selectedVisitorId = visitor.id;
+      renderFoundProfile(visitorsList.find((v) => v.id === visitor.id));
+    };
+    const status = document.createElement("span");
+    status.className = isVisitorBanned(visitor)
+      ? "font-bold text-red-700"
+      : "text-green-700";
+    status.textContent = `${
+      isVisitorBanned(visitor)
+        ? `BANNED${visitor.banCategory ? ` · ${visitor.banCategory}` : ""}`
+        : "CLEARED"
+    } · ${visitor.visits} visits${
+      visitor.lastVisit ? `, last ${formatTimestamp(visitor.lastVisit)}` : ""
+    }`;
+    li.append(name, status);
+    list.appendChild(li);
+  });
+};
+
+/**
+ * Opens the flat directory.
+ *
+ * @param {string} [number] - A flat to show straight away.
+ */
+const openFlatsModal = async (number) => {
+  const result = await window.electronAPI.listFlats();
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+  flatsDirectory = result.flats;
+  document.getElementById("flatsFilter").value = "";
+  document.getElementById("flatDetail").classList.add("hidden");
+  renderFlatsList();
+  document.getElementById("flatsModal").classList.remove("hidden");
+  if (number) await showFlat(number);
+};
+
+const handleFlatSave = async (e) => {
+  e.preventDefault();
+  const form = e.target;
+  const result = await window.electronAPI.saveFlat({
+    number: form.dataset.number,
+    residents: form.elements.residents.value,
+    notes: form.elements.notes.value,
+  });
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+  const list = await window.electronAPI.listFlats();
+  if (list.success) flatsDirectory = list.flats;
+  renderFlatsList();
+  showMessageBox("Flat saved.", "success");
+};
+
+// Shows the flats a visitor is linked to besides their own, as links to the directory.
+const renderVisitorFlats = async (visitor) => {
+  const line = document.getElementById("profileFlats");
+  const result = await window.electronAPI.getVisitorFlats(visitor.id);
+  if (!isProfileShown(visitor.id)) return;
+  line.innerHTML = "";
+  const flats = result.success ? result.flats : [];
+  line.classList.toggle("hidden", flats.length === 0);
+  if (flats.length === 0) return;
+
+  line.append("Linked flats: ");
+  flats.forEach((number, index) => {
+    const link = document.createElement("button");
+    link.className = "text-blue-700 hover:underline";
+    link.textContent = number;
+    link.onclick = () => openFlatsModal(number);
+    if (index > 0) line.append(", ");
+    line.appendChild(link);
+  });
+};
+
+// --- Dashboard ---
+
+// "2026-03" -> "Mar 2026"
+const formatMonth = (month) =>
+  new Date(`${month}-01T00:00:00Z`).toLocaleDateString("en-GB", {
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+// One row per month with a bar scaled to the busiest month.
+const renderMonthBars = (containerId, months) => {
+  const container = document.getElementById(containerId);
+  container.innerHTML = "";
+  const largest = Math.max(1, ...months.map((m) => m.count));
+  months.forEach(({ month, count }) => {
+    const row = document.createElement("div");
+    row.className = "flex items-center space-x-2";
+    const label = document.createElement("span");
+    label.className = "w-20 text-gray-600";
+    label.textContent = formatMonth(month);
+    const track = document.createElement("div");
+    track.className = "flex-1 bg-gray-100 rounded h-3";
+    const bar = document.createElement("div");
+    bar.className = "bg-indigo-500 rounded h-3";
+    bar.style.width = `${(count / largest) * 100}%`;
+    track.appendChild(bar);
+    const value = document.createElement("span");
+    value.className = "w-8 text-right text-gray-800";
+    value.textContent = count;
+    row.append(label, track, value);
+    container.appendChild(row);
+  });
+};
+
+// Fills a list with "left ... right" rows, or a note when there are none.
+const renderDashboardList = (listId, items) => {
+  const list = document.getElementById(listId);
+  list.innerHTML = "";
+  if (items.length === 0) {
+    const li = document.createElement("li");
+    li.className = "py-1 text-gray-500";
+    li.textContent = "None in this period.";
+    list.appendChild(li);
+    return;
+  }
+  items.forEach(({ left, right, onClick }) => {
+    const li = document.createElement("li");
+    li.className = "py-1 flex justify-between space-x-2";
+    const name = document.createElement(onClick ? "button" : "span");
+    name.className = onClick ? "text-left hover:underline" : "";
+    name.textContent = left;
+    if (onClick) name.onclick = onClick;
+    const detail = document.createElement("span");
+    detail.className = "text-gray-600 text-right";
+    detail.textContent = right;
+    li.append(name, detail);
+    list.appendChild(li);
+  });
+};
+
+const hideDashboard = () =>
+  document.getElementById("dashboardModal").classList.add("hidden");
+
+// Closes the dashboard and shows a visitor picked from it.
+const showProfileFromDashboard = (visitorId) => {
+  hideDashboard();
+  selectedVisitorId = visitorId;
+  renderFoundProfile(visitorsList.find((v) => v.id === visitorId));
+};
+
+const openDashboard = async () => {
+  const result = await window.electronAPI.getDashboard();
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+  const { stats } = result;
+
+  document.getElementById("dashboardPeriod").textContent =
+    `${formatMonth(stats.since.slice(0, 7))} to ${formatMonth(
+      stats.generatedAt.slice(0, 7),
+    )}`;
+  document.getElementById("dashboardTotal").textContent = stats.totals.total;
+  document.getElementById("dashboardBanned").textContent = stats.totals.banned;
+  document.getElementById("dashboardCleared").textContent =
+    stats.totals.cleared;
+  document.getElementById("dashboardOnSite").textContent = stats.totals.onSite;
+
+  renderMonthBars("dashboardBansByMonth", stats.bansByMonth);
+  renderMonthBars("dashboardVisitsByMonth", stats.visitsByMonth);
+  renderDashboardList(
+    "dashboardBansByFlat",
+    stats.bansByFlat.map((row) => ({ left: row.flat, right: row.count })),
+  );
+  renderDashboardList(
+    "dashboardFrequentVisitors",
+    stats.frequentVisitors.map((v) => ({
+      left: `${v.firstName} ${v.lastName}${v.isBanned === 1 ? " (BANNED)" : ""}`,
+      right: `${v.visits} visits`,
+      onClick: () => showProfileFromDashboard(v.id),
+    })),
+  );
+  renderDashboardList(
+    "dashboardRecentChanges",
+    stats.recentChanges.map((change) => ({
+      left: `${
+        change.firstName
+          ? `${change.firstName} ${change.lastName}`
+          : "(merged or removed)"
+      } · ${
+        change.action === "ban"
+          ? `Banned${change.category ? ` (${change.category})` : ""}`
+          : "Ban lifted"
+      }`,
+      right: `${formatTimestamp(change.timestamp)} by ${change.operator}`,
+      onClick: change.firstName
+        ? () => showProfileFromDashboard(change.visitorId)
+        : null,
+    })),
+  );
+
+  document.getElementById("dashboardModal").classList.remove("hidden");
+};
+
+const handleDashboardPdf = async () => {
+  const result = await window.electronAPI.exportDashboardPdf();
+  if (result.success) {
+    showMessageBox("Report saved.", "success");
+  } else if (!result.canceled) {
+    showMessageBox(result.error, "error");
+  }
+};
+
+// --- Duplicates ---
+
+// The details a merge lets the user choose between.
+const MERGE_FIELDS = [
+  "firstName",
+  "lastName",
+  "flatNumber",
+  "phoneNumber",
+  "dateOfBirth",
+  "scannedIdPicUrl",
+];
+
+// The two profiles on the merge screen.
+let mergePair = null;
+
+const describeVisitor = (visitor) =>
+  `${visitor.firstName} ${visitor.lastName} (${
+    isVisitorBanned(visitor) ? "BANNED" : "CLEARED"
+  }${visitor.dateOfBirth ? `, born ${visitor.dateOfBirth}` : ""})`;
+
+const hideDuplicatesModal = () =>
+  document.getElementById("duplicatesModal").classList.add("hidden");
+
+// One likely match: both profiles, why they match, and what can be done.
+const renderDuplicatePair = (pair, group) => {
+  const [a, b] = pair.ids.map((id) => group.visitors.find((v) => v.id === id));
+  const card = document.createElement("div");
+  card.className = "border border-gray-200 rounded-lg p-3 space-y-2";
+
+  const names = document.createElement("div");
+  names.className = "flex items-center space-x-3 font-semibold text-gray-800";
+  const photos = document.createElement("div");
+  photos.className = "flex -space-x-2 shrink-0";
+  photos.append(createPhotoThumbnail(a), createPhotoThumbnail(b));
+  const label = document.createElement("span");
+  label.textContent = `${describeVisitor(a)} and ${describeVisitor(b)}`;
+  names.append(photos, label);
+
+  const reasons = document.createElement("p");
+  reasons.className = "text-gray-600";
+  reasons.textContent = pair.reasons.join(" · ");
+
+  const actions = document.createElement("div");
+  actions.className = "flex space-x-2";
+  const compare = document.createElement("button");
+  compare.className =
+    "px-3 py-1 bg-blue-600 text-white rounded-full hover:bg-blue-700 transition-colors";
+  compare.textContent = "Compare and Merge";
+  compare.onclick = () => openMergeModal(a, b);
+  const dismiss = document.createElement("button");
+  dismiss.className =
+    "px-3 py-1 bg-gray-200 text-gray-800 rounded-full hover:bg-gray-300 transition-colors";
+  dismiss.textContent = "Not the Same Person";
+  dismiss.onclick = async () => {
+    const result = await window.electronAPI.dismissDuplicate(a.id, b.id);
+    if (!result.success) {
+      showMessageBox(result.error, "error");
+      return;
+    }
+    await openDuplicatesModal();
+  };
+  actions.append(compare, dismiss);
+
+  card.append(names, reasons, actions);
+  return card;
+};
+
+const openDuplicatesModal = async () => {
+  const result = await window.electronAPI.findDuplicates();
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+
+  const list = document.getElementById("duplicatesList");
+  list.innerHTML = "";
+  result.groups.forEach((group) => {
+    const section = document.createElement("div");
+    section.className = "space-y-2";
+    if (group.visitors.length > 2) {
+      const heading = document.createElement("p");
+      heading.className = "text-gray-600";
+      heading.textContent = `${group.visitors.length} profiles may be the same person. Merge them one pair at a time.`;
+      section.appendChild(heading);
+    }
+    group.pairs.forEach((pair) =>
+      section.appendChild(renderDuplicatePair(pair, group)),
+    );
+    list.appendChild(section);
+  });
+  document
+    .getElementById("duplicatesEmpty")
+    .classList.toggle("hidden", result.groups.length > 0);
+  document.getElementById("duplicatesModal").classList.remove("hidden");
+};
+
+const hideMergeModal = () => {
+  mergePair = null;
+  document.getElementById("mergeModal").classList.add("hidden");
+};
+
+/**
+ * Shows two profiles side by side with a choice for each detail. Where only
+ * one has a value it is preselected; otherwise the first profile's is.
+ */
+const openMergeModal = (a, b) => {
+  mergePair = { a, b };
+  document.getElementById("mergeHeadingA").textContent =
+    `${a.firstName} ${a.lastName}`;
+  document.getElementById("mergeHeadingB").textContent =
+    `${b.firstName} ${b.lastName}`;
+
+  const rows = document.getElementById("mergeFieldRows");
+  rows.innerHTML = "";
+  MERGE_FIELDS.forEach((field) => {
+    const row = rows.insertRow();
+    const label = row.insertCell();
+    label.className = "py-1 pr-2 text-gray-500";
+    label.textContent = FIELD_LABELS[field];
+
+    const preferred = !a[field] && b[field] ? "b" : "a";
+    [
+      ["a", a],
+      ["b", b],
+    ].forEach(([side, visitor]) => {
+      const cell = row.insertCell();
+      cell.className = "py-1 pr-2 align-top break-words";
+      const option = document.createElement("label");
+      option.className = "flex items-center space-x-1 cursor-pointer";
+      const input = document.createElement("input");
+      input.type = "radio";
+      input.name = `merge-${field}`;
+      input.value = side;
+      input.checked = side === preferred;
+      const value = document.createElement("span");
+      value.textContent = formatFieldValue(field, visitor[field]);
+      option.append(input, value);
+      cell.appendChild(option);
+    });
+  });
+
+  const banned = [a, b].filter(isVisitorBanned);
+  const summary = document.getElementById("mergeBanSummary");
+  summary.className = `text-sm font-semibold mb-2 ${
+    banned.length ? "text-red-700" : "text-green-700"
+  }`;
+  summary.textContent = banned.length
+    ? "The merged profile will be BANNED, keeping the longer of the bans."
+    : "The merged profile will be CLEARED.";
+
+  const keep = document.getElementById("mergeKeepSelect");
+  keep.innerHTML = "";
+  [a, b].forEach((visitor) =>
+    keep.appendChild(
+      new Option(
+        `${visitor.firstName} ${visitor.lastName} (${visitor.id.slice(0, 8)})`,
+        visitor.id,
+      ),
+    ),
+  );
+  // The banned profile's id is the one staff and other files already know.
+  keep.value = (banned[0] || a).id;
+
+  document.getElementById("mergeModal").classList.remove("hidden");
+};
+
+const handleMergeConfirm = async () => {
+  const { a, b } = mergePair;
+  const fields = {};
+  MERGE_FIELDS.forEach((field) => {
+    const side = document.querySelector(
+      `input[name="merge-${field}"]:checked`,
+    ).value;
+    fields[field] = (side === "a" ? a : b)[field] || "";
+  });
+  const keptId = document.getElementById("mergeKeepSelect").value;
+  const mergedId = keptId === a.id ? b.id : a.id;
+
+  const result = await window.electronAPI.mergeVisitors({
+    keptId,
+    mergedId,
+    fields,
+  });
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+
+  hideMergeModal();
+  await loadVisitorsFromDb();
+  selectedVisitorId = keptId;
+  renderFoundProfile(result.visitor);
+  checkBanExpiry();
+  await openDuplicatesModal();
+  if (result.csvError) {
+    showMessageBox(
+      `Profiles merged in the app, but the CSV was not updated: ${result.csvError}`,
+      "error",
+    );
+  } else {
+    showMessageBox("Profiles merged.", "success");
+  }
+};
+
+// --- Staff Accounts ---
+
+/**
+ * Shows the login screen and resolves once a staff member has signed in.
+ * On first run the same form creates the initial supervisor account.
+ *
+ * @returns {Promise<Object>} The signed-in user.
+ */
+const authenticate = async () => {
+  const status = await window.electronAPI.getAuthStatus();
+  if (status.user) return status.user;
+
+  const isSetup = !status.hasAccounts;
+  const loginScreen = document.getElementById("loginScreen");
+  const form = document.getElementById("loginForm");
+  const errorText = document.getElementById("loginError");
+
+  if (isSetup) {
+    document.getElementById("loginTitle").textContent = "Create Supervisor";
+    document.getElementById("loginHint").textContent =
+      "No staff accounts exist yet. Create the first supervisor account.";
+    document.getElementById("loginDisplayNameRow").classList.remove("hidden");
+    document.getElementById("loginSubmitButton").textContent = "Create Account";
+  }
+
+  document.getElementById("loading").classList.add("hidden");
+  loginScreen.classList.remove("hidden");
+  document.getElementById("loginUsername").focus();
+
+  return new Promise((resolve) => {
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const credentials = {
+        username: document.getElementById("loginUsername").value.trim(),
+        password: document.getElementById("loginPassword").value,
+      };
+
+      const result = isSetup
+        ? await window.electronAPI.setupFirstAccount({
+            ...credentials,
+            displayName: document
+              .getElementById("loginDisplayName")
+              .value.trim(),
+          })
+        : await window.electronAPI.login(credentials);
+
+      if (!result.success) {
+        errorText.textContent = result.error;
+        errorText.classList.remove("hidden");
+        document.getElementById("loginPassword").value = "";
+        return;
+      }
+
+      loginScreen.classList.add("hidden");
+      document.getElementById("loading").classList.remove("hidden");
+      resolve(result.user);
+    });
+  });
+};
+
+// Hides every control tagged with a data-permission the current role lacks.
+const applyPermissions = () => {
+  document.querySelectorAll("[data-permission]").forEach((el) => {
+    el.classList.toggle("hidden", !hasPermission(el.dataset.permission));
+  });
+  document.getElementById("currentUserName").textContent =
+    currentUser.displayName;
+  document.getElementById("currentUserRole").textContent =
+    currentUser.roleLabel;
+};
+
+const handleLogout = async () => {
+  await window.electronAPI.logout();
+  // A reload drops every piece of in-memory state before the next person signs in.
+  window.location.reload();
+};
+
+const renderStaffList = async () => {
+  const list = document.getElementById("staffList");
+  const result = await window.electronAPI.listStaff();
+  list.innerHTML = "";
+
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+
+  const usernameSelect = document.getElementById("staffPasswordUsername");
+  usernameSelect.innerHTML = "";
+
+  result.accounts.forEach((account) => {
+    const li = document.createElement("li");
+    li.className = "py-2 flex justify-between text-sm";
+    const name = document.createElement("span");
+    name.textContent = `${account.displayName} (${account.username})`;
+    const role = document.createElement("span");
+    role.className = "text-gray-500";
+    role.textContent = account.needsNewPassword
+      ? `${account.roleLabel} - needs a new password`
+      : account.roleLabel;
+    li.append(name, role);
+    list.appendChild(li);
+
+    const option = document.createElement("option");
+    option.value = account.username;
+    option.textContent = account.displayName;
+    usernameSelect.appendChild(option);
+  });
+};
+
+const openStaffModal = async () => {
+  document.getElementById("staffForm").reset();
+  document.getElementById("staffPasswordForm").reset();
+  await renderStaffList();
+  document.getElementById("staffModal").classList.remove("hidden");
+};
+
+const hideStaffModal = () =>
+  document.getElementById("staffModal").classList.add("hidden");
+
+const handleStaffSubmit = async (e) => {
+  e.preventDefault();
+  const form = e.target;
+  const result = await window.electronAPI.createStaff({
+    displayName: form.elements.displayName.value.trim(),
+    username: form.elements.username.value.trim(),
+    password: form.elements.password.value,
+    role: form.elements.role.value,
+  });
+
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+
+  form.reset();
+  await renderStaffList();
+  showMessageBox(`Account created for ${result.account.displayName}.`);
+};
+
+const handleStaffPasswordSubmit = async (e) => {
+  e.preventDefault();
+  const form = e.target;
+  const result = await window.electronAPI.setStaffPassword(
+    form.elements.username.value,
+    form.elements.password.value,
+  );
+
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+
+  form.reset();
+  await renderStaffList();
+  showMessageBox("Password set.", "success");
+};
+
+// --- API Access ---
+
+// Shows the API settings as main reports them; the token itself is never sent back.
+const renderApiSettings = (settings) => {
+  const form = document.getElementById("apiForm");
+  form.elements.enabled.checked = settings.enabled;
+  form.elements.host.value = settings.host;
+  form.elements.port.value = settings.port;
+
+  const status = document.getElementById("apiStatus");
+  if (settings.error) {
+    status.textContent = `Not running: ${settings.error}`;
+  } else if (settings.running) {
+    status.textContent = `Running on port ${settings.port}, reachable from ${
+      settings.host === "lan" ? "the local network" : "this computer only"
+    }.`;
+  } else {
+    status.textContent = "Turned off.";
+  }
+
+  document.getElementById("apiTokenStatus").textContent = settings.hasToken
+    ? "A token is set. Making a new one stops the old one working."
+    : "No token yet. Bans and check-ins through the API need one.";
+};
+
+const hideApiModal = () => {
+  document.getElementById("apiModal").classList.add("hidden");
+  document.getElementById("apiTokenBox").classList.add("hidden");
+  document.getElementById("apiTokenValue").value = "";
+};
+
+const openApiModal = async () => {
+  const result = await window.electronAPI.getApiSettings();
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+  renderApiSettings(result);
+  document.getElementById("apiModal").classList.remove("hidden");
+};
+
+const handleApiSubmit = async (e) => {
+  e.preventDefault();
+  const form = e.target;
+  const result = await window.electronAPI.saveApiSettings({
+    enabled: form.elements.enabled.checked,
+    host: form.elements.host.value,
+    port: Number(form.elements.port.value),
+  });
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+  renderApiSettings(result);
+  if (result.error) {
+    showMessageBox(`The API could not start: ${result.error}`, "error");
+  } else {
+    showMessageBox("API settings saved.", "success");
+  }
+};
+
+// Makes a new token and shows it once, for copying into the other system.
+const handleApiToken = async () => {
+  const result = await window.electronAPI.createApiToken();
+  if (!result.success) {
+    showMessageBox(result.error, "error");
+    return;
+  }
+  const value = document.getElementById("apiTokenValue");
+  value.value = result.token;
+  document.getElementById("apiTokenBox").classList.remove("hidden");
+  document.getElementById("apiTokenStatus").textContent =
+    "New token created. The old one no longer works.";
+  value.select();
+};
+
+// A ban or check-in arrived through the API, so the lists here are out of date.
+const handleApiChange = async () => {
+  await loadVisitorsFromDb();
+  renderOnSitePanel();
+  if (selectedVisitorId) {
+    renderFoundProfile(visitorsList.find((v) => v.id === selectedVisitorId));
+  }
+};
+
+// --- Initialization ---
+
+const initializeDb = async () => {
+  try {
+    // 0. Nobody sees visitor data until a staff member has signed in
+    currentUser = await authenticate();
+
+    // 1. Open the database, then move in anything older versions left in localStorage
+    await openDatabase();
+    await migrateLegacyDb();
 
     await loadVisitorsFromDb();
 
-    // 2. Open File Dialog to import CSV
-    const csvData = await window.electronAPI.readCsvFile();
-
-    if (csvData) {
-      //  Initialize image paths only after  the file is chosen
-      await setupPaths();
-      await handleImport(csvData);
-      const visitorCount = visitorsList.length;
-      showMessageBox(
-        `Successfully loaded ${visitorCount} visitors from CSV.`,
-        "success",
-      );
+    // 2. Reopen last time's CSV, or ask for one, then sync it with the database
+    const reopened = await window.electronAPI.reopenLastFile();
+    if (reopened.success) {
+      await activateCsvFile(reopened);
+    } else {
+      if (reopened.error) showMessageBox(reopened.error, "error");
+      await chooseCsvFile();
     }
 
     // 3. Set up UI Event Listeners
     document.getElementById("search").addEventListener("input", handleSearch);
+    document
+      .getElementById("search")
+      .addEventListener("keydown", handleSearchKeydown);
     document
       .getElementById("modalCancelButton")
       .addEventListener("click", hideBanModal);
     document
       .getElementById("modalConfirmBanButton")
-      .addEventListener("click", () => {
-        const notes = document.getElementById("modalNotes").value;
-        updateVisitorStatus(selectedVisitorId, { isBanned: true, notes });
-        hideBanModal();
-      });
+      .addEventListener("click", handleBanConfirm);
+    document
+      .getElementById("banCategory")
+      .append(
+        ...BAN_CATEGORIES.map((category) => new Option(category, category)),
+      );
+    document.getElementById("banDuration").addEventListener("change", (e) => {
+      document
+        .getElementById("banUntilInput")
+        .classList.toggle("hidden", e.target.value !== "date");
+    });
+    document
+      .getElementById("addVisitorButton")
+      .addEventListener("click", () => openVisitorForm());
+    document
+      .getElementById("visitorForm")
+      .addEventListener("submit", handleVisitorFormSubmit);
+    document
+      .getElementById("visitorFormCancelButton")
+      .addEventListener("click", hideVisitorForm);
     document
       .getElementById("unbanCancelButton")
       .addEventListener("click", hideUnbanModal);
@@ -436,18 +2937,18 @@ const initializeDb = async () => {
       .addEventListener("click", handleUnbanConfirm);
 
     document
-      .getElementById("saveGeneralNotesButton")
-      .addEventListener("click", () => {
-        const notes = document.getElementById("generalNotesInput").value;
-        if (selectedVisitorId) {
-          db.run("UPDATE visitors SET generalNotes = ? WHERE id = ?", [
-            notes,
-            selectedVisitorId,
-          ]);
-          saveDbToLocalStorage();
-          showMessageBox("Notes saved!", "success");
-        }
-      });
+      .getElementById("noteCategory")
+      .append(
+        ...Object.entries(NOTE_CATEGORIES).map(
+          ([value, label]) => new Option(label, value),
+        ),
+      );
+    document
+      .getElementById("noteForm")
+      .addEventListener("submit", handleNoteSubmit);
+    document
+      .getElementById("cancelNoteEditButton")
+      .addEventListener("click", resetNoteForm);
 
     // assign to variables.
     passwordInput = document.getElementById("unbanPasswordInput");
@@ -469,7 +2970,171 @@ const initializeDb = async () => {
 
     document
       .getElementById("export-btn")
-      .addEventListener("click", handleExport);
+      .addEventListener("click", () => runSync());
+    document
+      .getElementById("exportAuditLogButton")
+      .addEventListener("click", handleExportAuditLog);
+    window.electronAPI.onFilesChanged(handleFilesChanged);
+    window.electronAPI.onApiChange(handleApiChange);
+    // A missing or refused photo shows the bundled "No ID" image instead.
+    document.getElementById("profileImage").addEventListener("error", (e) => {
+      if (!e.target.src.endsWith("/no-id.svg")) e.target.src = "./no-id.svg";
+    });
+    document
+      .getElementById("capturePhotoButton")
+      .addEventListener("click", () => openCameraModal());
+    document
+      .getElementById("attachPhotoButton")
+      .addEventListener("click", handleAttachPhoto);
+    document
+      .getElementById("cameraCancelButton")
+      .addEventListener("click", hideCameraModal);
+    document
+      .getElementById("cameraCaptureButton")
+      .addEventListener("click", handleCapturePhoto);
+    document
+      .getElementById("openFileButton")
+      .addEventListener("click", openFileModal);
+    document
+      .getElementById("fileBrowseButton")
+      .addEventListener("click", chooseCsvFile);
+    document
+      .getElementById("fileCancelButton")
+      .addEventListener("click", hideFileModal);
+    document
+      .getElementById("importVisitorsButton")
+      .addEventListener("click", openImportWizard);
+    document
+      .getElementById("importCancelButton")
+      .addEventListener("click", hideImportWizard);
+    document
+      .getElementById("importBackButton")
+      .addEventListener("click", () => showImportStep("map"));
+    document
+      .getElementById("importCheckButton")
+      .addEventListener("click", handleImportCheck);
+    document
+      .getElementById("importCommitButton")
+      .addEventListener("click", handleImportCommit);
+    document
+      .getElementById("exportVisitorsButton")
+      .addEventListener("click", openExportModal);
+    document
+      .getElementById("exportCancelButton")
+      .addEventListener("click", hideExportModal);
+    document
+      .getElementById("exportForm")
+      .addEventListener("submit", handleExportSubmit);
+    document
+      .getElementById("importReportCloseButton")
+      .addEventListener("click", () =>
+        document.getElementById("importReportModal").classList.add("hidden"),
+      );
+    document
+      .getElementById("watchSheetButton")
+      .addEventListener("click", printWatchSheet);
+    document
+      .getElementById("flatsButton")
+      .addEventListener("click", () => openFlatsModal());
+    document
+      .getElementById("flatsCloseButton")
+      .addEventListener("click", hideFlatsModal);
+    document
+      .getElementById("flatsFilter")
+      .addEventListener("input", renderFlatsList);
+    document
+      .getElementById("flatForm")
+      .addEventListener("submit", handleFlatSave);
+    document
+      .getElementById("dashboardButton")
+      .addEventListener("click", openDashboard);
+    document
+      .getElementById("dashboardCloseButton")
+      .addEventListener("click", hideDashboard);
+    document
+      .getElementById("dashboardPdfButton")
+      .addEventListener("click", handleDashboardPdf);
+    document
+      .getElementById("findDuplicatesButton")
+      .addEventListener("click", openDuplicatesModal);
+    document
+      .getElementById("duplicatesCloseButton")
+      .addEventListener("click", hideDuplicatesModal);
+    document
+      .getElementById("mergeCancelButton")
+      .addEventListener("click", hideMergeModal);
+    document
+      .getElementById("mergeConfirmButton")
+      .addEventListener("click", handleMergeConfirm);
+    document
+      .getElementById("retentionButton")
+      .addEventListener("click", openRetentionModal);
+    document
+      .getElementById("retentionCloseButton")
+      .addEventListener("click", hideRetentionModal);
+    document
+      .getElementById("retentionForm")
+      .addEventListener("submit", handleRetentionSubmit);
+    document
+      .getElementById("retentionApplyButton")
+      .addEventListener("click", handleRetentionApply);
+    document
+      .getElementById("eraseCancelButton")
+      .addEventListener("click", hideEraseModal);
+    document
+      .getElementById("eraseConfirmButton")
+      .addEventListener("click", handleEraseConfirm);
+    document
+      .getElementById("restoreBackupButton")
+      .addEventListener("click", openBackupModal);
+    document
+      .getElementById("backupCancelButton")
+      .addEventListener("click", hideBackupModal);
+    document
+      .getElementById("backupRestoreButton")
+      .addEventListener("click", handleRestoreBackup);
+    document
+      .getElementById("logoutButton")
+      .addEventListener("click", handleLogout);
+    document
+      .getElementById("manageStaffButton")
+      .addEventListener("click", openStaffModal);
+    document
+      .getElementById("staffCloseButton")
+      .addEventListener("click", hideStaffModal);
+    document
+      .getElementById("staffForm")
+      .addEventListener("submit", handleStaffSubmit);
+    document
+      .getElementById("staffPasswordForm")
+      .addEventListener("submit", handleStaffPasswordSubmit);
+    document
+      .getElementById("apiSettingsButton")
+      .addEventListener("click", openApiModal);
+    document
+      .getElementById("apiCloseButton")
+      .addEventListener("click", hideApiModal);
+    document
+      .getElementById("apiForm")
+      .addEventListener("submit", handleApiSubmit);
+    document
+      .getElementById("apiTokenButton")
+      .addEventListener("click", handleApiToken);
+
+    document
+      .getElementById("checkInCancelButton")
+      .addEventListener("click", hideCheckInModal);
+    document
+      .getElementById("checkInConfirmButton")
+      .addEventListener("click", handleCheckInConfirm);
+
+    // Keeps the on-site register and its durations current
+    renderOnSitePanel();
+    setInterval(renderOnSitePanel, 60 * 1000);
+    checkBanExpiry();
+    setInterval(checkBanExpiry, BAN_CHECK_INTERVAL_MS);
+
+    applyPermissions();
 
     // display the date
     document.getElementById("current-date").textContent =
@@ -485,6 +3150,9 @@ const initializeDb = async () => {
     document.getElementById("app").classList.remove("hidden");
   } catch (error) {
     console.error("Initialization error:", error);
+    showStartupError(`Something went wrong while starting: ${error.message}`);
+    // Listeners may already be attached, so a retry starts from a clean page.
+    waitForRetry().then(() => window.location.reload());
   }
 };
 // A universally unique identifier version4 that give each visitor a unique id
@@ -0,0 +1,200 @@
+/**
+ * Visitor search ranking - shared by the renderer and the main process.
+ * Matches every word typed against names (allowing typos and names that
+ * sound alike), phone, flat and date of birth, and orders the results best
+ * match first. Loaded before script.js for the search box. api.js ranks
+ * names only with it, so the API tolerates the same typos but finds nobody
+ * by phone, flat or date of birth; duplicates.js uses its `editDistance`
+ * and `phoneDigits`.
+ */
+
+// Scores for how well one search word matches one field.
+const MATCH_SCORES = {
+  exact: 100,
+  prefix: 80,
+  contains: 60,
+  typo: 50,
+  soundsLike: 35,
+};
+
+/**
+ * Counts the single-letter edits (insert, delete, substitute or swap two
+ * neighbours) needed to turn one word into the other.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  const rows = [];
+  for (let i = 0; i <= a.length; i += 1) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j += 1) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost,
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Typos allowed for a word of this length: none for very short words,
+// so "al" does not match every two-letter name.
+const allowedTypos = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+const SOUNDEX_CODES = {
+  b: 1,
+  f: 1,
+  p: 1,
+  v: 1,
+  c: 2,
+  g: 2,
+  j: 2,
+  k: 2,
+  q: 2,
+  s: 2,
+  x: 2,
+  z: 2,
+  d: 3,
+  t: 3,
+  l: 4,
+  m: 5,
+  n: 5,
+  r: 6,
+};
+
+/**
+ * Soundex code of a name, so spellings that sound alike, such as "Smith"
+ * and "Smyth" or "Reid" and "Read", compare equal.
+ *
+ * @param {string} word - A lower-case word.
+ * @returns {string} A code such as "s530", or "" for a word without letters.
+ */
+const soundex = (word) => {
+  const letters = word.replace(/[^a-z]/g, "");
+  if (!letters) return "";
+
+  let code = letters[0];
+  let previous = SOUNDEX_CODES[letters[0]] || 0;
+  for (let i = 1; i < letters.length && code.length < 4; i += 1) {
+    const digit = SOUNDEX_CODES[letters[i]] || 0;
+    if (digit && digit !== previous) code += digit;
+    // "h" and "w" do not separate letters with the same code; vowels do.
+    if (letters[i] !== "h" && letters[i] !== "w") previous = digit;
+  }
+  return code.padEnd(4, "0");
+};
+
+// Scores a search word against a name, trying each part of a double-barrelled
+// name.
+const scoreName = (term, name) => {
+  const value = (name || "").toLowerCase().trim();
+  if (!value) return 0;
+  if (value === term) return MATCH_SCORES.exact;
+  if (value.startsWith(term)) return MATCH_SCORES.prefix;
+  if (value.includes(term)) return MATCH_SCORES.contains;
+
+  return Math.max(
+    0,
+    ...value.split(/[\s-]+/).map((part) => {
+      const distance = editDistance(term, part);
+      if (distance <= allowedTypos(term)) {
+        return MATCH_SCORES.typo - distance * 5;
+      }
+      return term.length >= 3 && soundex(term) === soundex(part)
+        ? MATCH_SCORES.soundsLike
+        : 0;
+    }),
+  );
+};
+
+// "+44 (0)7700-900123" -> "4407700900123"
+const phoneDigits = (value) => String(value || "").replace(/\D/g, "");
+
+// Phone numbers match on digits only, ignoring spaces and dashes.
+const scorePhone = (term, phone) => {
+  if (!/^[\d+()-]+$/.test(term)) return 0;
+  const digits = phoneDigits(term);
+  const value = phoneDigits(phone);
+  if (digits.length < 3) return 0;
+  if (value === digits) return MATCH_SCORES.exact;
+  return value.includes(digits) ? MATCH_SCORES.contains : 0;
+};
+
+// Flats match ignoring case and spaces, so "12 b" finds "12B".
+const scoreFlat = (term, flat) => {
+  const value = (flat || "").toLowerCase().replace(/\s+/g, "");
+  if (!value) return 0;
+  if (value === term) return MATCH_SCORES.exact;
+  return value.startsWith(term) ? MATCH_SCORES.prefix : 0;
+};
+
+// Dates of birth match in full or in part, e.g. "1985" or "03/1985".
+const scoreDateOfBirth = (term, dateOfBirth) => {
+  const value = (dateOfBirth || "").trim();
+  if (!value || !/^[\d/.-]+$/.test(term) || term.length < 2) return 0;
+  const normalizedTerm = term.replace(/[.-]/g, "/");
+  if (value === normalizedTerm) return MATCH_SCORES.exact;
+  return value.includes(normalizedTerm) ? MATCH_SCORES.contains : 0;
+};
+
+// The best score a single search word gets against any of a visitor's fields.
+const scoreTerm = (term, visitor) =>
+  Math.max(
+    scoreName(term, visitor.firstName),
+    scoreName(term, visitor.lastName),
+    scorePhone(term, visitor.phoneNumber),
+    scoreFlat(term, visitor.flatNumber),
+    scoreDateOfBirth(term, visitor.dateOfBirth),
+  );
+
+/**
+ * Finds the visitors matching every word of a search and ranks them.
+ *
+ * @param {Object[]} visitors - All visitors.
+ * @param {string} query - What was typed into the search box.
+ * @returns {Object[]} The matching visitors, best match first.
+ */
+const rankVisitors = (visitors, query) => {
+  const terms = query.toLowerCase().trim().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  return visitors
+    .map((visitor) => {
+      const scores = terms.map((term) => scoreTerm(term, visitor));
+      return {
+        visitor,
+        score: scores.every((score) => score > 0)
+          ? scores.reduce((sum, score) => sum + score, 0)
+          : 0,
+      };
+    })
+    .filter((result) => result.score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (a.visitor.lastName || "").localeCompare(b.visitor.lastName || "") ||
+        (a.visitor.firstName || "").localeCompare(b.visitor.firstName || ""),
+    )
+    .map((result) => result.visitor);
+};
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    editDistance,
+    phoneDigits,
+    rankVisitors,
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * App settings - Main process only.
+ * Small preferences that should survive a restart, kept as JSON in the
+ * user data folder.
+ */
+
+const fs = require("fs");
+const { writeFileAtomic } = require("./file-store");
+
+/**
+ * Creates a settings store backed by a JSON file.
+ *
+ * @param {string} filePath - Absolute path of the settings file.
+ */
+const createSettingsStore = (filePath) => {
+  const readAll = () => {
+    if (!fs.existsSync(filePath)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf-8")) || {};
+    } catch (error) {
+      // A damaged settings file only loses preferences, so start afresh.
+      console.error("Could not read settings, using defaults:", error);
+      return {};
+    }
+  };
+
+  /**
+   * @param {string} key
+   * @param {*} fallback - Returned when the setting has never been saved.
+   */
+  const get = (key, fallback = null) => {
+    const settings = readAll();
+    return key in settings ? settings[key] : fallback;
+  };
+
+  const set = (key, value) => {
+    const settings = readAll();
+    settings[key] = value;
+    writeFileAtomic(filePath, JSON.stringify(settings, null, 2));
+  };
+
+  return { get, set };
+};
+
+module.exports = {
+  createSettingsStore,
+};
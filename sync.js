@@ -0,0 +1,184 @@
+/**
+ * Two-way sync between the SQLite store and the CSV file - Main process only.
+ * Works out which side changed each row since the last sync, so nothing is
+ * overwritten silently; rows changed on both sides become conflicts.
+ */
+
+const crypto = require("node:crypto");
+
+// The fields compared between the app and the file. updatedAt is not
+// compared, since people editing the CSV by hand rarely touch it.
+const SYNC_FIELDS = [
+  "firstName",
+  "lastName",
+  "flatNumber",
+  "phoneNumber",
+  "dateOfBirth",
+  "scannedIdPicUrl",
+  "isBanned",
+  "notes",
+  "generalNotes",
+];
+
+// The CSV has used "true"/"1" and the database 1 for a ban.
+const normalizeBanned = (value) =>
+  value === 1 || value === "1" || value === "true" ? "1" : "0";
+
+const normalizeRow = (row) => {
+  const normalized = {};
+  SYNC_FIELDS.forEach((field) => {
+    const value = row[field];
+    normalized[field] =
+      field === "isBanned"
+        ? normalizeBanned(value)
+        : value === null || value === undefined
+          ? ""
+          : String(value).trim();
+  });
+  return normalized;
+};
+
+/**
+ * A content hash of the synced fields, used to tell whether a row changed.
+ *
+ * @param {Object|null} row - A visitor from either side.
+ * @returns {string|null} Null when there is no row.
+ */
+const rowHash = (row) =>
+  row
+    ? crypto
+        .createHash("sha256")
+        .update(JSON.stringify(normalizeRow(row)))
+        .digest("hex")
+    : null;
+
+/**
+ * Lists the fields that differ between the app and file copies of a row.
+ *
+ * @returns {string[]}
+ */
+const diffFields = (appRow, fileRow) => {
+  const app = normalizeRow(appRow);
+  const file = normalizeRow(fileRow);
+  return SYNC_FIELDS.filter((field) => app[field] !== file[field]);
+};
+
+/**
+ * Compares every row and decides which way it should flow.
+ * Rows missing from one side are added to it, except visitors erased in the
+ * app or merged into another profile, whose rows are removed from the file
+ * instead. Other deletions are not synced.
+ *
+ * @param {Object[]} fileRows - Rows parsed from the CSV (with an `id`).
+ * @param {Object[]} appRows - Rows from the visitors table.
+ * @param {Map<string, Object>} states - Last sync state per visitor id (`hash`, `syncedAt`).
+ * @param {Set<string>} [removedIds] - Visitors erased, purged or merged away in the app.
+ * @param {boolean} [canUnban] - Whether the signed-in user may lift bans. When
+ *   not, a ban lifted only in the file becomes a conflict for a supervisor.
+ * @returns {Object} `toApp`, `toFile`, `toRemove` and `conflicts` lists plus an `unchanged` count.
+ */
+const planSync = (
+  fileRows,
+  appRows,
+  states,
+  removedIds = new Set(),
+  canUnban = true,
+) => {
+  const fileById = new Map(fileRows.map((row) => [row.id, row]));
+  const appById = new Map(appRows.map((row) => [row.id, row]));
+  const ids = new Set([...fileById.keys(), ...appById.keys()]);
+
+  const plan = {
+    toApp: [],
+    toFile: [],
+    toRemove: [],
+    conflicts: [],
+    unchanged: 0,
+  };
+
+  ids.forEach((id) => {
+    const fileRow = fileById.get(id) || null;
+    const appRow = appById.get(id) || null;
+    const state = states.get(id);
+
+    if (!appRow) {
+      if (removedIds.has(id)) plan.toRemove.push(id);
+      else plan.toApp.push(fileRow);
+      return;
+    }
+    if (!fileRow) {
+      plan.toFile.push(appRow);
+      return;
+    }
+
+    const fileHash = rowHash(fileRow);
+    const appHash = rowHash(appRow);
+    if (fileHash === appHash) {
+      plan.unchanged += 1;
+      return;
+    }
+
+    // Without a previous sync there is no telling which side is newer.
+    const fileChanged = !state || fileHash !== state.hash;
+    const appChanged =
+      !state ||
+      ((!appRow.updatedAt || appRow.updatedAt > state.syncedAt) &&
+        appHash !== state.hash);
+
+    const liftsBan =
+      normalizeBanned(appRow.isBanned) === "1" &&
+      normalizeBanned(fileRow.isBanned) === "0";
+
+    if (fileChanged && (appChanged || (liftsBan && !canUnban))) {
+      plan.conflicts.push({
+        id,
+        app: appRow,
+        file: fileRow,
+        fields: diffFields(appRow, fileRow),
+      });
+    } else if (fileChanged) {
+      plan.toApp.push(fileRow);
+    } else {
+      plan.toFile.push(appRow);
+    }
+  });
+
+  return plan;
+};
+
+// Joins two note texts, keeping each distinct part once.
+const mergeText = (appText, fileText) => {
+  const parts = [appText, fileText]
+    .map((value) => (value || "").trim())
+    .filter(Boolean);
+  return [...new Set(parts)].join(" | ");
+};
+
+/**
+ * Resolves one conflict into the row that both sides will receive.
+ *
+ * @param {Object} conflict - An entry from `planSync().conflicts`.
+ * @param {string} choice - "app", "file" or "merge" (app profile with both sides' notes).
+ * @returns {Object} The winning row.
+ */
+const resolveConflict = (conflict, choice) => {
+  if (choice === "file") return conflict.file;
+  if (choice === "merge") {
+    return {
+      ...conflict.app,
+      notes: mergeText(conflict.app.notes, conflict.file.notes),
+      generalNotes: mergeText(
+        conflict.app.generalNotes,
+        conflict.file.generalNotes,
+      ),
+    };
+  }
+  return conflict.app;
+};
+
+module.exports = {
+  normalizeBanned,
+  rowHash,
+  planSync,
+  resolveConflict,
+};
@@ -0,0 +1,9 @@
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  // Class names are also built up in script.js, so it is scanned too.
+  content: ["./index.html", "./script.js"],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};
@@ -0,0 +1,193 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { startApiServer, hashApiToken } = require("../api");
+
+const TOKEN = "test-token";
+
+// Just enough of the visitor database for the routes used here.
+const createDatabase = () => {
+  const visitors = new Map([
+    ["v1", { id: "v1", firstName: "Jane", lastName: "Doe", isBanned: 0 }],
+    ["v2", { id: "v2", firstName: "Mark", lastName: "Smith", isBanned: 1 }],
+  ]);
+  return {
+    listVisitors: () => [...visitors.values()],
+    getVisitor: (id) => visitors.get(id) || null,
+    getOpenVisit: () => null,
+    setBanStatus: (id, { isBanned }) => {
+      visitors.get(id).isBanned = isBanned ? 1 : 0;
+    },
+  };
+};
+
+// Sends a request with the headers given, which may set their own Host.
+const send = (server, { method = "GET", path, headers = {}, body }) =>
+  new Promise((resolve, reject) => {
+    const request = http.request(
+      {
+        host: "127.0.0.1",
+        port: server.address().port,
+        method,
+        path,
+        headers: {
+          Host: `localhost:${server.address().port}`,
+          ...headers,
+        },
+      },
+      (response) => {
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("end", () =>
+          resolve({
+            status: response.statusCode,
+            body: JSON.parse(Buffer.concat(chunks).toString("utf-8")),
+          }),
+        );
+      },
+    );
+    request.on("error", reject);
+    request.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+
+const startServer = (options) =>
+  startApiServer({
+    port: 0,
+    getTokenHash: () => hashApiToken(TOKEN),
+    getDatabase: createDatabase,
+    onChange: () => {},
+    ...options,
+  });
+
+describe("API on this computer only", () => {
+  let server;
+  before(async () => {
+    server = await startServer({ host: "local" });
+  });
+  after(() => server.close());
+
+  it("answers reads without a token", async () => {
+    const response = await send(server, { path: "/api/visitors/v1" });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.visitor.isBanned, false);
+  });
+
+  it("refuses a Host header other than localhost", async () => {
+    const response = await send(server, {
+      path: "/api/visitors/v1",
+      headers: { Host: "attacker.example:8750" },
+    });
+    assert.equal(response.status, 403);
+  });
+
+  it("accepts 127.0.0.1 as the Host", async () => {
+    const response = await send(server, {
+      path: "/api/health",
+      headers: { Host: "127.0.0.1" },
+    });
+    assert.equal(response.status, 200);
+  });
+
+  it("needs the token for a ban", async () => {
+    const response = await send(server, {
+      method: "POST",
+      path: "/api/visitors/v1/ban",
+      body: { reason: "Shoplifting", category: "Theft or damage" },
+    });
+    assert.equal(response.status, 401);
+  });
+
+  it("refuses a wrong token", async () => {
+    const response = await send(server, {
+      method: "POST",
+      path: "/api/visitors/v1/ban",
+      headers: { Authorization: "Bearer wrong-token" },
+      body: { reason: "Shoplifting", category: "Theft or damage" },
+    });
+    assert.equal(response.status, 401);
+  });
+
+  it("bans with the token", async () => {
+    const response = await send(server, {
+      method: "POST",
+      path: "/api/visitors/v1/ban",
+      headers: { Authorization: `Bearer ${TOKEN}` },
+      body: { reason: "Shoplifting", category: "Theft or damage" },
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.visitor.isBanned, true);
+  });
+
+  it("refuses to ban a visitor who is already banned", async () => {
+    const response = await send(server, {
+      method: "POST",
+      path: "/api/visitors/v2/ban",
+      headers: { Authorization: `Bearer ${TOKEN}` },
+      body: { reason: "Again", category: "Other", until: "2000-01-01" },
+    });
+    assert.equal(response.status, 409);
+  });
+});
+
+describe("API without a token set up", () => {
+  let server;
+  before(async () => {
+    server = await startServer({ host: "local", getTokenHash: () => null });
+  });
+  after(() => server.close());
+
+  it("refuses writes", async () => {
+    const response = await send(server, {
+      method: "POST",
+      path: "/api/visitors/v1/check-out",
+      headers: { Authorization: `Bearer ${TOKEN}` },
+    });
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("API on the local network", () => {
+  let server;
+  before(async () => {
+    server = await startServer({ host: "lan" });
+  });
+  after(() => server.close());
+
+  it("accepts any Host header", async () => {
+    const response = await send(server, {
+      path: "/api/health",
+      headers: { Host: "reception-pc.local:8750" },
+    });
+    assert.equal(response.status, 200);
+  });
+
+  it("needs the token for reads", async () => {
+    const response = await send(server, { path: "/api/visitors?name=jane" });
+    assert.equal(response.status, 401);
+  });
+
+  it("answers reads with the token", async () => {
+    const response = await send(server, {
+      path: "/api/visitors?name=jane",
+      headers: { Authorization: `Bearer ${TOKEN}` },
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.visitors.map((visitor) => visitor.id),
+      ["v1"],
+    );
+  });
+});
+
+describe("API while the data is locked", () => {
+  let server;
+  before(async () => {
+    server = await startServer({ host: "local", getDatabase: () => null });
+  });
+  after(() => server.close());
+
+  it("answers with 503", async () => {
+    const response = await send(server, { path: "/api/visitors/v1" });
+    assert.equal(response.status, 503);
+  });
+});
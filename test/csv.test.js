@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsv, stringifyCsv } = require("../csv");
+
+const fieldsOf = (parsed) => parsed.records.map((record) => record.fields);
+
+describe("parseCsv", () => {
+  it("reads quoted commas, quotes and line breaks in a field", () => {
+    const parsed = parseCsv(
+      'id,notes\n1,"Shouted, then left"\n2,"Said ""no"""\n3,"Line one\nLine two"\n',
+    );
+    assert.deepEqual(fieldsOf(parsed), [
+      { id: "1", notes: "Shouted, then left" },
+      { id: "2", notes: 'Said "no"' },
+      { id: "3", notes: "Line one\nLine two" },
+    ]);
+  });
+
+  it("reads a stray quote inside an unquoted field as text", () => {
+    const parsed = parseCsv('id,notes\n1,Carried a 5" screen\n');
+    assert.deepEqual(fieldsOf(parsed), [
+      { id: "1", notes: 'Carried a 5" screen' },
+    ]);
+  });
+
+  it("detects the delimiter, line breaks and byte order mark", () => {
+    const parsed = parseCsv("\uFEFFid;firstName\r\n1;Jane\r\n");
+    assert.equal(parsed.delimiter, ";");
+    assert.equal(parsed.lineBreak, "\r\n");
+    assert.equal(parsed.bom, true);
+    assert.deepEqual(parsed.headers, ["id", "firstName"]);
+    assert.deepEqual(fieldsOf(parsed), [{ id: "1", firstName: "Jane" }]);
+  });
+
+  it("numbers skipped rows as a spreadsheet does", () => {
+    const parsed = parseCsv('id,notes\n1,"two\nlines"\n\n2\n3,ok\n');
+    assert.deepEqual(parsed.skipped, [
+      { row: 4, reason: "Has 1 fields but the header has 2." },
+    ]);
+    assert.deepEqual(
+      parsed.records.map((record) => record.row),
+      [2, 5],
+    );
+  });
+
+  it("gives nothing for an empty file", () => {
+    const parsed = parseCsv("\n\n");
+    assert.deepEqual(parsed.headers, []);
+    assert.deepEqual(parsed.records, []);
+  });
+
+  it("refuses a quote that is never closed", () => {
+    assert.throws(
+      () => parseCsv('id,notes\n1,"never closed\n'),
+      /The CSV file could not be read/,
+    );
+  });
+
+  it("writes the file back with its own layout", () => {
+    const text = '\uFEFFid;notes\r\n1;"a; b"\r\n2;"two\nlines"';
+    const { headers, records, delimiter, lineBreak, bom } = parseCsv(text);
+    assert.equal(
+      stringifyCsv(
+        records.map((record) => record.fields),
+        { delimiter, lineBreak, bom, headers },
+      ),
+      text,
+    );
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { planSync, rowHash } = require("../sync");
+
+const LAST_SYNC = "2026-01-01T00:00:00.000Z";
+const BEFORE = "2025-12-01T00:00:00.000Z";
+const AFTER = "2026-02-01T00:00:00.000Z";
+
+const visitor = (fields = {}) => ({
+  id: "v1",
+  firstName: "Jane",
+  lastName: "Doe",
+  isBanned: 0,
+  notes: "",
+  updatedAt: BEFORE,
+  ...fields,
+});
+
+// The sync state as it was left when both sides held `row`.
+const syncedAs = (row) =>
+  new Map([[row.id, { hash: rowHash(row), syncedAt: LAST_SYNC }]]);
+
+const countsOf = (plan) => ({
+  toApp: plan.toApp.length,
+  toFile: plan.toFile.length,
+  toRemove: plan.toRemove.length,
+  conflicts: plan.conflicts.length,
+  unchanged: plan.unchanged,
+});
+
+describe("planSync", () => {
+  it("leaves rows alone that are the same on both sides", () => {
+    const row = visitor();
+    const plan = planSync([{ ...row, isBanned: "0" }], [row], new Map());
+    assert.deepEqual(countsOf(plan), {
+      toApp: 0,
+      toFile: 0,
+      toRemove: 0,
+      conflicts: 0,
+      unchanged: 1,
+    });
+  });
+
+  it("adds rows missing from either side", () => {
+    const plan = planSync(
+      [visitor({ id: "file-only" })],
+      [visitor({ id: "app-only" })],
+      new Map(),
+    );
+    assert.deepEqual(
+      plan.toApp.map((row) => row.id),
+      ["file-only"],
+    );
+    assert.deepEqual(
+      plan.toFile.map((row) => row.id),
+      ["app-only"],
+    );
+  });
+
+  it("removes rows of visitors erased in the app from the file", () => {
+    const plan = planSync([visitor()], [], new Map(), new Set(["v1"]));
+    assert.deepEqual(plan.toRemove, ["v1"]);
+    assert.equal(plan.toApp.length, 0);
+  });
+
+  it("takes a change made only in the file", () => {
+    const synced = visitor();
+    const plan = planSync(
+      [visitor({ notes: "Edited in Excel" })],
+      [synced],
+      syncedAs(synced),
+    );
+    assert.equal(plan.toApp[0].notes, "Edited in Excel");
+  });
+
+  it("writes a change made only in the app", () => {
+    const synced = visitor();
+    const plan = planSync(
+      [synced],
+      [visitor({ notes: "Edited in the app", updatedAt: AFTER })],
+      syncedAs(synced),
+    );
+    assert.equal(plan.toFile[0].notes, "Edited in the app");
+  });
+
+  it("holds a row changed on both sides as a conflict", () => {
+    const synced = visitor();
+    const plan = planSync(
+      [visitor({ notes: "File" })],
+      [visitor({ phoneNumber: "07700 900123", updatedAt: AFTER })],
+      syncedAs(synced),
+    );
+    assert.equal(plan.conflicts.length, 1);
+    assert.deepEqual(plan.conflicts[0].fields, ["phoneNumber", "notes"]);
+  });
+
+  it("holds differing rows as conflicts when they were never synced", () => {
+    const plan = planSync([visitor({ notes: "File" })], [visitor()], new Map());
+    assert.equal(plan.conflicts.length, 1);
+  });
+
+  describe("a ban lifted only in the file", () => {
+    const synced = visitor({ isBanned: 1 });
+    const fileRows = [visitor({ isBanned: "0" })];
+
+    it("is taken when the user may lift bans", () => {
+      const plan = planSync(fileRows, [synced], syncedAs(synced));
+      assert.equal(plan.toApp.length, 1);
+    });
+
+    it("waits for a supervisor otherwise", () => {
+      const plan = planSync(
+        fileRows,
+        [synced],
+        syncedAs(synced),
+        new Set(),
+        false,
+      );
+      assert.equal(plan.toApp.length, 0);
+      assert.deepEqual(plan.conflicts[0].fields, ["isBanned"]);
+    });
+  });
+
+  it("takes a ban set in the file from any user", () => {
+    const synced = visitor();
+    const plan = planSync(
+      [visitor({ isBanned: "true" })],
+      [synced],
+      syncedAs(synced),
+      new Set(),
+      false,
+    );
+    assert.equal(plan.toApp.length, 1);
+  });
+});
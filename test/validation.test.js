@@ -0,0 +1,104 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeFlatNumber,
+  validateBanTerms,
+  toLocalDate,
+} = require("../validation");
+
+// A date `days` from today, in the form ban end dates are kept in.
+const daysFromToday = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return toLocalDate(date);
+};
+
+describe("normalizeFlatNumber", () => {
+  it("writes the same flat one way", () => {
+    [
+      "12A",
+      "12 a",
+      "12a",
+      "Flat 12A",
+      "Flat No. 12a",
+      "012a",
+      "flat12a",
+    ].forEach((value) =>
+      assert.equal(normalizeFlatNumber(value), "12A", value),
+    );
+  });
+
+  it("keeps ranges and drops the spaces around the dash", () => {
+    assert.equal(normalizeFlatNumber("Unit 1 - 2"), "1-2");
+    assert.equal(normalizeFlatNumber("Apt 3–4"), "3-4");
+  });
+
+  it("keeps a lone zero and zeros inside the number", () => {
+    assert.equal(normalizeFlatNumber("0"), "0");
+    assert.equal(normalizeFlatNumber("105"), "105");
+  });
+
+  it("does not take words that only start like a prefix", () => {
+    assert.equal(normalizeFlatNumber("North 4"), "NORTH4");
+  });
+
+  it("gives an empty string when there is no flat", () => {
+    [undefined, null, "", "  ", "Flat"].forEach((value) =>
+      assert.equal(normalizeFlatNumber(value), ""),
+    );
+  });
+});
+
+describe("validateBanTerms", () => {
+  const terms = { category: "Trespass", until: "", onExpiry: "review" };
+
+  it("accepts a ban with no end date", () => {
+    assert.equal(validateBanTerms(terms), null);
+  });
+
+  it("accepts an end date in the future", () => {
+    assert.equal(
+      validateBanTerms({
+        ...terms,
+        until: daysFromToday(30),
+        onExpiry: "lift",
+      }),
+      null,
+    );
+  });
+
+  it("needs a known category", () => {
+    assert.equal(
+      validateBanTerms({ ...terms, category: "Rudeness" }),
+      "Choose a ban category.",
+    );
+    assert.equal(validateBanTerms(), "Choose a ban category.");
+  });
+
+  it("needs to know what happens when the ban ends", () => {
+    assert.equal(
+      validateBanTerms({ ...terms, onExpiry: "forget" }),
+      "Choose what happens when the ban ends.",
+    );
+  });
+
+  it("refuses end dates that do not exist or are badly written", () => {
+    ["2030-02-30", "2030-13-01", "30/01/2030", "2030-1-1"].forEach((until) =>
+      assert.equal(
+        validateBanTerms({ ...terms, until }),
+        "Enter a valid end date.",
+        until,
+      ),
+    );
+  });
+
+  it("refuses an end date of today or earlier", () => {
+    [daysFromToday(0), daysFromToday(-1)].forEach((until) =>
+      assert.equal(
+        validateBanTerms({ ...terms, until }),
+        "The end date must be in the future.",
+        until,
+      ),
+    );
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Visitor field rules - shared by the renderer and the main process.
+ * Loaded as a plain script before script.js, and required by main.js for
+ * imports, bans, flats and notes, so a form and what main accepts follow the
+ * same rules.
+ */
+
+// UK style DD/MM/YYYY, as shown on the profile.
+const DOB_PATTERN = /^(\d{2})\/(\d{2})\/(\d{4})$/;
+// Digits with optional leading +, spaces, dashes and brackets.
+const PHONE_PATTERN = /^\+?[\d\s\-()]+$/;
+
+/**
+ * Checks a visitor's details, from the add/edit form or an imported row.
+ *
+ * @param {Object} values - The trimmed values keyed by visitor field.
+ * @returns {Object} A map of field name to error message; empty when valid.
+ */
+const validateVisitorFields = (values) => {
+  const errors = {};
+
+  if (!values.firstName) errors.firstName = "First name is required.";
+  if (!values.lastName) errors.lastName = "Last name is required.";
+
+  if (values.dateOfBirth) {
+    const match = values.dateOfBirth.match(DOB_PATTERN);
+    if (!match) {
+      errors.dateOfBirth = "Use the format DD/MM/YYYY.";
+    } else {
+      const [, day, month, year] = match.map(Number);
+      const date = new Date(year, month - 1, day);
+      // Rejects impossible dates such as 31/02/2000, which Date silently rolls over.
+      const isRealDate =
+        date.getFullYear() === year &&
+        date.getMonth() === month - 1 &&
+        date.getDate() === day;
+      if (!isRealDate) {
+        errors.dateOfBirth = "This date does not exist.";
+      } else if (date > new Date() || year < 1900) {
+        errors.dateOfBirth = "Date of birth must be in the past.";
+      }
+    }
+  }
+
+  if (values.phoneNumber) {
+    const digitCount = values.phoneNumber.replace(/\D/g, "").length;
+    if (
+      !PHONE_PATTERN.test(values.phoneNumber) ||
+      digitCount < 7 ||
+      digitCount > 15
+    ) {
+      errors.phoneNumber = "Enter a valid phone number (7 to 15 digits).";
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Brings a flat number to one spelling, so "12 a", "Flat 12A", "Flat No. 12a"
+ * and "012a" all become "12A", and "Unit 1 - 2" becomes "1-2". Used as the
+ * key of the flat directory.
+ *
+ * @param {string} value - A flat number as typed or imported.
+ * @returns {string} The normalised number, or "" when there is none.
+ */
+const normalizeFlatNumber = (value) =>
+  String(value || "")
+    .toUpperCase()
+    .replace(/^(?:\s*(?:FLAT|APARTMENT|APT|UNIT|NO)(?:\b|(?=\d))\.?)+/, "")
+    .replace(/[\u2010-\u2015]/g, "-")
+    .replace(/[^A-Z0-9/-]/g, "")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "")
+    .replace(/^0+(?=\d)/, "");
+
+// --- Ban Terms ---
+
+// In the order the ban form lists them.
+const BAN_CATEGORIES = [
+  "Antisocial behaviour",
+  "Violence or threats",
+  "Theft or damage",
+  "Trespass",
+  "Other",
+];
+
+// What happens when a ban reaches its end date: flag it for a supervisor, or lift it.
+const BAN_EXPIRY_ACTIONS = ["review", "lift"];
+
+// The local calendar date as YYYY-MM-DD, the form ban end dates are kept in.
+const toLocalDate = (date = new Date()) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+/**
+ * Checks the terms of a ban from the ban form.
+ *
+ * @param {Object} terms - `category`, `until` (YYYY-MM-DD, or "" for no end
+ *   date) and `onExpiry` ("review" or "lift").
+ * @returns {string|null} An error message, or null when the terms are valid.
+ */
+const validateBanTerms = ({ category, until, onExpiry } = {}) => {
+  if (!BAN_CATEGORIES.includes(category)) return "Choose a ban category.";
+  if (!BAN_EXPIRY_ACTIONS.includes(onExpiry)) {
+    return "Choose what happens when the ban ends.";
+  }
+  if (until) {
+    const date = new Date(`${until}T00:00`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(until) || toLocalDate(date) !== until) {
+      return "Enter a valid end date.";
+    }
+    if (until <= toLocalDate()) return "The end date must be in the future.";
+  }
+  return null;
+};
+
+// --- Notes ---
+
+// The kinds of note kept on a profile, keyed as stored, with their labels.
+const NOTE_CATEGORIES = {
+  incident: "Incident",
+  welfare: "Welfare",
+  general: "General",
+};
+
+const MAX_NOTE_LENGTH = 2000;
+
+/**
+ * Checks a note from the notes form.
+ *
+ * @param {Object} note - `category` (a key of NOTE_CATEGORIES) and the trimmed `body`.
+ * @returns {string|null} An error message, or null when the note is valid.
+ */
+const validateNote = ({ category, body } = {}) => {
+  if (!Object.hasOwn(NOTE_CATEGORIES, category || "")) {
+    return "Choose a note category.";
+  }
+  if (!body) return "Write the note first.";
+  if (body.length > MAX_NOTE_LENGTH) {
+    return `Notes can be at most ${MAX_NOTE_LENGTH} characters.`;
+  }
+  return null;
+};
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    validateVisitorFields,
+    normalizeFlatNumber,
+    validateBanTerms,
+    toLocalDate,
+    NOTE_CATEGORIES,
+    validateNote,
+  };
+}
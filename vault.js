@@ -0,0 +1,134 @@
+/**
+ * Encryption of visitor data at rest - Main process only.
+ * The database and CSV backups are encrypted with one random data key: the
+ * database by SQLite3 Multiple Ciphers (see database.js), and backups here
+ * with AES-256-GCM. The key itself is never stored: each staff account keeps a
+ * copy encrypted with a key derived from that person's password, so the data
+ * can only be read while someone is signed in.
+ */
+
+const crypto = require("node:crypto");
+
+// Marks a file as ours; the version lets the layout change later.
+const MAGIC = Buffer.from("VLOGENC1");
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+const createDataKey = () => crypto.randomBytes(KEY_LENGTH);
+
+/**
+ * @param {Buffer} data
+ * @returns {boolean} Whether the data was written by `encrypt`.
+ */
+const isEncrypted = (data) =>
+  data.length >= MAGIC.length + IV_LENGTH + TAG_LENGTH &&
+  data.subarray(0, MAGIC.length).equals(MAGIC);
+
+/**
+ * @param {Buffer} key - A 32-byte key.
+ * @param {Buffer|string} data - The plaintext; strings are encoded as UTF-8.
+ * @returns {Buffer} Header, IV, authentication tag and ciphertext.
+ */
+const encrypt = (key, data) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.from(data)),
+    cipher.final(),
+  ]);
+  return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+};
+
+/**
+ * @param {Buffer} key - The key the data was encrypted with.
+ * @param {Buffer} data - Output of `encrypt`.
+ * @returns {Buffer} The plaintext.
+ * @throws {Error} When the data is not ours, or the key is wrong or the data was altered.
+ */
+const decrypt = (key, data) => {
+  if (!isEncrypted(data)) {
+    throw new Error("The file is not encrypted by this app.");
+  }
+  const ivStart = MAGIC.length;
+  const tagStart = ivStart + IV_LENGTH;
+  const dataStart = tagStart + TAG_LENGTH;
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      key,
+      data.subarray(ivStart, tagStart),
+    );
+    decipher.setAuthTag(data.subarray(tagStart, dataStart));
+    return Buffer.concat([
+      decipher.update(data.subarray(dataStart)),
+      decipher.final(),
+    ]);
+  } catch {
+    throw new Error(
+      "The file could not be decrypted. It belongs to another installation or is damaged.",
+    );
+  }
+};
+
+// --- Key Wrapping ---
+
+const deriveKey = (password, salt) =>
+  crypto.scryptSync(password, `vault:${salt}`, KEY_LENGTH);
+
+/**
+ * Encrypts the data key with a password, for storing with an account.
+ *
+ * @param {Buffer} dataKey
+ * @param {string} password
+ * @returns {Object} `keySalt` and `wrappedKey`, both strings.
+ */
+const wrapDataKey = (dataKey, password) => {
+  const keySalt = crypto.randomBytes(16).toString("hex");
+  return {
+    keySalt,
+    wrappedKey: encrypt(deriveKey(password, keySalt), dataKey).toString(
+      "base64",
+    ),
+  };
+};
+
+/**
+ * @param {Object} account - An account holding `keySalt` and `wrappedKey`.
+ * @param {string} password - The account's password, already verified.
+ * @returns {Buffer|null} The data key, or null when the account has no copy of it.
+ */
+const unwrapDataKey = (account, password) => {
+  if (!account || !account.wrappedKey) return null;
+  return decrypt(
+    deriveKey(password, account.keySalt),
+    Buffer.from(account.wrappedKey, "base64"),
+  );
+};
+
+/**
+ * Binds `encrypt` and `decrypt` to one key, for code that only needs to
+ * seal and open files. `keyId` tells this installation's files apart from
+ * another's in a shared folder, without giving anything away about the key.
+ *
+ * @param {Buffer} key
+ */
+const createCipher = (key) => ({
+  keyId: crypto
+    .createHmac("sha256", key)
+    .update("file names")
+    .digest("hex")
+    .slice(0, 8),
+  encrypt: (data) => encrypt(key, data),
+  decrypt: (data) => decrypt(key, data),
+});
+
+module.exports = {
+  createDataKey,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  wrapDataKey,
+  unwrapDataKey,
+  createCipher,
+};
@@ -0,0 +1,96 @@
+/**
+ * Watches the open CSV and its photos folder - Main process only.
+ * The CSV's folder is watched rather than the file itself: Excel and the
+ * app's own atomic saves replace the file, which would end a watch on it.
+ */
+
+const fs = require("fs");
+const path = require("node:path");
+
+// Editors write a file in several steps; wait for them to settle.
+const DEBOUNCE_MS = 500;
+
+/**
+ * Creates a watcher for one CSV file at a time.
+ *
+ * @param {Object} handlers
+ * @param {Function} handlers.onCsvChange - Called after the CSV may have changed.
+ * @param {Function} handlers.onPhotosChange - Called with the names of changed photos.
+ */
+const createFileWatcher = ({ onCsvChange, onPhotosChange }) => {
+  let watchers = [];
+  let timers = new Map();
+  let changedPhotos = new Set();
+
+  const debounce = (key, callback) => {
+    clearTimeout(timers.get(key));
+    timers.set(
+      key,
+      setTimeout(() => {
+        timers.delete(key);
+        callback();
+      }, DEBOUNCE_MS),
+    );
+  };
+
+  const watchFolder = (folder, listener) => {
+    try {
+      const watcher = fs.watch(folder, listener);
+      watcher.on("error", (error) =>
+        console.error(`Stopped watching ${folder}:`, error),
+      );
+      watchers.push(watcher);
+      return true;
+    } catch (error) {
+      console.error(`Could not watch ${folder}:`, error);
+      return false;
+    }
+  };
+
+  const stop = () => {
+    watchers.forEach((watcher) => watcher.close());
+    watchers = [];
+    timers.forEach((timer) => clearTimeout(timer));
+    timers = new Map();
+    changedPhotos = new Set();
+  };
+
+  /**
+   * Starts watching a CSV and the photos folder next to it, replacing any
+   * earlier watch. A photos folder created later is picked up too.
+   *
+   * @param {string} csvPath - Full path of the open CSV.
+   */
+  const start = (csvPath) => {
+    stop();
+    const folder = path.dirname(csvPath);
+    const csvName = path.basename(csvPath);
+    const photosFolder = path.join(folder, "photos");
+    let watchingPhotos = false;
+
+    const watchPhotos = () => {
+      if (watchingPhotos || !fs.existsSync(photosFolder)) return;
+      watchingPhotos = watchFolder(photosFolder, (eventType, fileName) => {
+        if (fileName) changedPhotos.add(fileName);
+        debounce("photos", () => {
+          const names = [...changedPhotos];
+          changedPhotos = new Set();
+          onPhotosChange(names);
+        });
+      });
+    };
+
+    watchFolder(folder, (eventType, fileName) => {
+      // Some platforms do not report the name; the CSV is checked anyway.
+      if (!fileName || fileName === csvName) debounce("csv", onCsvChange);
+      else if (fileName === "photos") watchPhotos();
+    });
+    watchPhotos();
+  };
+
+  return { start, stop };
+};
+
+module.exports = {
+  createFileWatcher,
+};